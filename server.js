@@ -5,10 +5,18 @@ const socketIo = require('socket.io');
 const app = require('./src/app');
 const config = require('./src/config');
 const connectDB = require('./src/config/database');
-const { verifyToken } = require('./src/middleware/auth');
+const { User } = require('./src/models');
+const { authenticateToken } = require('./src/middleware/auth');
+const { relayProgressToSockets, closeQueues } = require('./src/services/queueService');
 
 const startServer = async () => {
   await connectDB();
+
+  // Users created with the former "manager" role become brand managers
+  const migratedUsers = await User.migrateLegacyRoles();
+  if (migratedUsers > 0) {
+    console.log(`Migrated ${migratedUsers} users from the "manager" role to "brand_manager"`);
+  }
   
   // Create HTTP server
   const server = http.createServer(app);
@@ -32,13 +40,15 @@ const startServer = async () => {
         return next(new Error('Authentication error: No token provided'));
       }
 
-      // Verify token (reuse auth middleware logic)
-      const jwt = require('jsonwebtoken');
-      const decoded = jwt.verify(token, config.jwtSecret);
+      // Verify token, revocation list and user status (same checks as protect)
+      const auth = await authenticateToken(token);
+      if (!auth) {
+        return next(new Error('Authentication error: User inactive or token revoked'));
+      }
       
       // Attach user to socket
-      socket.userId = decoded.id;
-      socket.user = decoded;
+      socket.userId = auth.user._id.toString();
+      socket.user = auth.user;
       
       next();
     } catch (error) {
@@ -84,6 +94,9 @@ const startServer = async () => {
   // Make io instance available to routes
   app.set('io', io);
 
+  // Bulk uploads run in the worker process; forward their progress to sockets
+  relayProgressToSockets(io);
+
   // Start server
   server.listen(config.port, () => {
     console.log(`
@@ -99,6 +112,7 @@ const startServer = async () => {
 ║   🔹 Public Endpoints:                                 ║
 ║   • GET  /api/verify/:code                             ║
 ║   • POST /api/verify                                   ║
+║   • GET  /api/verify/product/:authToken                ║
 ║                                                        ║
 ║   🔸 Protected Endpoints:                              ║
 ║   • POST /api/auth/login                               ║
@@ -117,7 +131,8 @@ const startServer = async () => {
   // Graceful shutdown
   process.on('SIGTERM', () => {
     console.log('SIGTERM received. Closing server...');
-    server.close(() => {
+    server.close(async () => {
+      await closeQueues().catch(console.error);
       console.log('Server closed');
       process.exit(0);
     });
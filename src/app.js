@@ -5,6 +5,9 @@ const routes = require('./routes');
 
 const app = express();
 
+// req.ip is only taken from X-Forwarded-For when the proxy is trusted
+app.set('trust proxy', config.trustProxy);
+
 // CORS
 app.use(cors({ origin: config.corsOrigins, credentials: true }));
 
@@ -1,8 +1,51 @@
+/**
+ * TRUST_PROXY: "true" / "false", a number of proxy hops, or a comma-separated
+ * list of addresses, subnets or presets (loopback, uniquelocal, ...)
+ */
+const parseTrustProxy = (value) => {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return value.split(',').map((entry) => entry.trim());
+};
+
 module.exports = {
   env: process.env.NODE_ENV || 'development',
   port: parseInt(process.env.PORT, 10) || 5000,
   mongoUri: process.env.MONGODB_URI || 'mongodb://localhost:27017/anginat-auth',
   jwtSecret: process.env.JWT_SECRET || 'change-this-secret-in-production',
-  jwtExpiresIn: process.env.JWT_EXPIRES_IN || '7d',
+  // Encrypts the brands' code signing keys at rest (falls back to JWT_SECRET)
+  signingKeySecret: process.env.SIGNING_KEY_SECRET || process.env.JWT_SECRET || 'change-this-secret-in-production',
+  jwtExpiresIn: process.env.JWT_EXPIRES_IN || '15m',
+  refreshTokenExpiresInDays: parseInt(process.env.REFRESH_TOKEN_EXPIRES_IN_DAYS, 10) || 30,
+  appUrl: process.env.APP_URL || 'http://localhost:3000',
+  mail: {
+    transport: process.env.MAIL_TRANSPORT || 'console',
+    from: process.env.MAIL_FROM || 'no-reply@anginat.com',
+    fileDir: process.env.MAIL_FILE_DIR || 'mail-outbox',
+  },
+  maxFileSize: parseInt(process.env.MAX_FILE_SIZE, 10) || 50 * 1024 * 1024,
+  rateLimitWindowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 15 * 60 * 1000,
+  rateLimitMax: parseInt(process.env.RATE_LIMIT_MAX, 10) || 300,
+  verifyRateLimitWindowMs: parseInt(process.env.VERIFY_RATE_LIMIT_WINDOW_MS, 10) || 60 * 1000,
+  verifyRateLimitMax: parseInt(process.env.VERIFY_RATE_LIMIT_MAX, 10) || 30,
+  redisUrl: process.env.REDIS_URL || 'redis://localhost:6379',
+  bulkUpload: {
+    concurrency: parseInt(process.env.BULK_UPLOAD_CONCURRENCY, 10) || 2,
+    attempts: parseInt(process.env.BULK_UPLOAD_ATTEMPTS, 10) || 3,
+    backoffMs: parseInt(process.env.BULK_UPLOAD_BACKOFF_MS, 10) || 30 * 1000,
+    lockDurationMs: parseInt(process.env.BULK_UPLOAD_LOCK_DURATION_MS, 10) || 5 * 60 * 1000,
+    storage: process.env.BULK_UPLOAD_STORAGE || 'local', // local | s3
+    // Minimum gap between bulkUploadProgress events of one job
+    progressIntervalMs: parseInt(process.env.BULK_UPLOAD_PROGRESS_INTERVAL_MS, 10) || 1000,
+  },
+  codeGeneration: {
+    // Larger requests run as a background job
+    syncLimit: parseInt(process.env.CODE_GENERATION_SYNC_LIMIT, 10) || 1000,
+    maxCount: parseInt(process.env.CODE_GENERATION_MAX_COUNT, 10) || 1000000,
+  },
+  // Express "trust proxy": which proxies may set X-Forwarded-For (false =
+  // none, a hop count such as 1, or addresses / presets like "loopback")
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
   corsOrigins: process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',') : ['*'],
 };
@@ -0,0 +1,124 @@
+const { ApiKey, Brand } = require('../models');
+const { catchAsync } = require('../middleware/errorHandler');
+const { hasBrandAccess } = require('../middleware/auth');
+const ApiResponse = require('../utils/apiResponse');
+
+/**
+ * Find a key belonging to the brand in the URL
+ */
+const findBrandKey = (req) => {
+  return ApiKey.findOne({ _id: req.params.keyId, brand: req.params.id });
+};
+
+/**
+ * Create API key for a brand
+ * POST /api/brands/:id/api-keys
+ * The plain-text key is only returned once.
+ */
+const createApiKey = catchAsync(async (req, res) => {
+  if (!hasBrandAccess(req.user, req.params.id)) {
+    return ApiResponse.forbidden(res, 'Access denied to this brand');
+  }
+  
+  const brand = await Brand.findById(req.params.id).select('name');
+  if (!brand) {
+    return ApiResponse.notFound(res, 'Brand not found');
+  }
+  
+  const { name, scopes, expiresAt } = req.body;
+  const { prefix, key } = ApiKey.generateKey();
+  
+  const apiKey = await ApiKey.create({
+    name,
+    brand: brand._id,
+    prefix,
+    keyHash: key,
+    scopes: [...new Set(scopes)],
+    expiresAt,
+    createdBy: req.user._id,
+  });
+  
+  return ApiResponse.created(res, 'API key created. Store it now, it will not be shown again.', {
+    ...apiKey.toJSON(),
+    key,
+  });
+});
+
+/**
+ * List API keys for a brand
+ * GET /api/brands/:id/api-keys
+ */
+const getApiKeys = catchAsync(async (req, res) => {
+  if (!hasBrandAccess(req.user, req.params.id)) {
+    return ApiResponse.forbidden(res, 'Access denied to this brand');
+  }
+  
+  const apiKeys = await ApiKey.find({ brand: req.params.id })
+    .populate('createdBy', 'name email')
+    .sort('-createdAt');
+  
+  return ApiResponse.success(res, 'API keys retrieved successfully', apiKeys);
+});
+
+/**
+ * Rotate an API key (new secret, same id and scopes)
+ * POST /api/brands/:id/api-keys/:keyId/rotate
+ */
+const rotateApiKey = catchAsync(async (req, res) => {
+  if (!hasBrandAccess(req.user, req.params.id)) {
+    return ApiResponse.forbidden(res, 'Access denied to this brand');
+  }
+  
+  const apiKey = await findBrandKey(req);
+  if (!apiKey) {
+    return ApiResponse.notFound(res, 'API key not found');
+  }
+  
+  if (!apiKey.isActive) {
+    return ApiResponse.badRequest(res, 'Cannot rotate a revoked API key');
+  }
+  
+  const { prefix, key } = ApiKey.generateKey();
+  apiKey.prefix = prefix;
+  apiKey.keyHash = key;
+  apiKey.lastRotatedAt = new Date();
+  await apiKey.save();
+  
+  return ApiResponse.success(res, 'API key rotated. Store it now, it will not be shown again.', {
+    ...apiKey.toJSON(),
+    key,
+  });
+});
+
+/**
+ * Revoke an API key
+ * DELETE /api/brands/:id/api-keys/:keyId
+ */
+const revokeApiKey = catchAsync(async (req, res) => {
+  if (!hasBrandAccess(req.user, req.params.id)) {
+    return ApiResponse.forbidden(res, 'Access denied to this brand');
+  }
+  
+  const apiKey = await findBrandKey(req);
+  if (!apiKey) {
+    return ApiResponse.notFound(res, 'API key not found');
+  }
+  
+  if (!apiKey.isActive) {
+    return ApiResponse.badRequest(res, 'API key is already revoked');
+  }
+  
+  apiKey.isActive = false;
+  apiKey.revokedAt = new Date();
+  apiKey.revokedBy = req.user._id;
+  await apiKey.save();
+  
+  return ApiResponse.success(res, 'API key revoked successfully', apiKey);
+});
+
+module.exports = {
+  createApiKey,
+  getApiKeys,
+  rotateApiKey,
+  revokeApiKey,
+};
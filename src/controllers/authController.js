@@ -1,10 +1,11 @@
 const User = require('../models/User');
-const { generateToken } = require('../middleware/auth');
+const tokenService = require('../services/tokenService');
+const mailService = require('../services/mailService');
 
 // Register
 exports.register = async (req, res) => {
   try {
-    const { name, email, password, role } = req.body;
+    const { name, email, password } = req.body;
 
     const existingUser = await User.findOne({ email });
     if (existingUser) {
@@ -14,15 +15,29 @@ exports.register = async (req, res) => {
       });
     }
 
-    const user = await User.create({ name, email, password, role });
-    const token = generateToken(user._id);
+    // The very first account bootstraps the system as admin; everyone else
+    // gets the default role and no brands until an admin grants access
+    const isFirstUser = (await User.estimatedDocumentCount()) === 0;
+    const user = await User.create({
+      name,
+      email,
+      password,
+      role: isFirstUser ? 'admin' : undefined,
+    });
+    const tokens = await tokenService.issueTokens(user._id, req);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       data: {
-        user: { id: user._id, name: user.name, email: user.email, role: user.role },
-        token,
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          brandAccess: user.brandAccess,
+        },
+        ...tokens,
       },
     });
   } catch (error) {
@@ -66,14 +81,20 @@ exports.login = async (req, res) => {
       });
     }
 
-    const token = generateToken(user._id);
+    const tokens = await tokenService.issueTokens(user._id, req);
 
     res.json({
       success: true,
       message: 'Login successful',
       data: {
-        user: { id: user._id, name: user.name, email: user.email, role: user.role },
-        token,
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          brandAccess: user.brandAccess,
+        },
+        ...tokens,
       },
     });
   } catch (error) {
@@ -91,6 +112,165 @@ exports.getMe = async (req, res) => {
       name: req.user.name,
       email: req.user.email,
       role: req.user.role,
+      brandAccess: req.user.brandAccess,
     },
   });
 };
+
+// Exchange a refresh token for a new access / refresh token pair
+exports.refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required',
+      });
+    }
+
+    const { userId, ...tokens } = await tokenService.rotateRefreshToken(refreshToken, req);
+
+    const user = await User.findById(userId);
+    if (!user || !user.isActive) {
+      await tokenService.revokeAllForUser(userId);
+      return res.status(401).json({
+        success: false,
+        message: 'User not found or inactive.',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Token refreshed',
+      data: tokens,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+};
+
+// Logout - revoke the current access token and its refresh token family
+exports.logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    await tokenService.revokeAccessToken(req.tokenPayload);
+
+    if (refreshToken) {
+      await tokenService.revokeRefreshToken(refreshToken, req.user._id);
+    }
+
+    res.json({ success: true, message: 'Logged out successfully' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Logout from all devices - revoke every refresh token of the user
+exports.logoutAll = async (req, res) => {
+  try {
+    await tokenService.revokeAccessToken(req.tokenPayload);
+    await tokenService.revokeAllForUser(req.user._id);
+
+    res.json({ success: true, message: 'Logged out from all devices' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Change password (requires current password) - revokes other sessions
+exports.changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    const isPasswordCorrect = await user.comparePassword(currentPassword);
+    if (!isPasswordCorrect) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect',
+      });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    await tokenService.revokeAllForUser(user._id);
+    const tokens = await tokenService.issueTokens(user._id, req);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      data: tokens,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Forgot password - emails a reset link
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+
+    // Same response either way so emails can't be enumerated
+    if (user && user.isActive) {
+      const token = user.createPasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+
+      try {
+        await mailService.sendPasswordResetEmail(user, token);
+      } catch (error) {
+        console.error('Password reset email error:', error);
+        user.passwordResetToken = undefined;
+        user.passwordResetExpires = undefined;
+        await user.save({ validateBeforeSave: false });
+        return res.status(500).json({
+          success: false,
+          message: 'Could not send reset email. Please try again later.',
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If that email is registered, a reset link has been sent',
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Reset password using the emailed token (also used to accept invites)
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    const user = await User.findByResetToken(token);
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset token is invalid or has expired',
+      });
+    }
+
+    user.password = newPassword;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    await tokenService.revokeAllForUser(user._id);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in.',
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
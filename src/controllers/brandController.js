@@ -1,9 +1,47 @@
 const Brand = require('../models/Brand');
+const { hasBrandAccess, brandScope } = require('../middleware/auth');
+const verificationService = require('../services/verificationService');
+const escapeRegex = require('../utils/escapeRegex');
+
+// Fields editable through the API (stats and totalCodes are maintained by the system)
+const UPDATABLE_FIELDS = ['name', 'logo', 'description', 'website', 'contactEmail', 'contactPhone', 'status'];
+const SETTINGS_FIELDS = [
+  'genuineMessage',
+  'alreadyVerifiedMessage',
+  'notFoundMessage',
+  'enableScanLimit',
+  'maxScansBeforeWarning',
+  'requireSignature',
+];
+const CODE_SCHEME_FIELDS = ['prefix', 'length', 'alphabet', 'groupSize', 'separator', 'checkDigit'];
+
+// Build an update using dot paths so partial settings don't wipe the others
+const buildBrandUpdate = (body) => {
+  const updates = {};
+
+  for (const key of UPDATABLE_FIELDS) {
+    if (body[key] !== undefined) updates[key] = body[key];
+  }
+
+  if (body.settings && typeof body.settings === 'object') {
+    for (const key of SETTINGS_FIELDS) {
+      if (body.settings[key] !== undefined) updates[`settings.${key}`] = body.settings[key];
+    }
+  }
+
+  if (body.codeScheme && typeof body.codeScheme === 'object') {
+    for (const key of CODE_SCHEME_FIELDS) {
+      if (body.codeScheme[key] !== undefined) updates[`codeScheme.${key}`] = body.codeScheme[key];
+    }
+  }
+
+  return updates;
+};
 
 // Create brand
 exports.createBrand = async (req, res) => {
   try {
-    const brand = await Brand.create(req.body);
+    const brand = await Brand.create(buildBrandUpdate(req.body));
     res.status(201).json({
       success: true,
       message: 'Brand created successfully',
@@ -19,9 +57,9 @@ exports.getBrands = async (req, res) => {
   try {
     const { status, search, page = 1, limit = 20 } = req.query;
     
-    const query = {};
+    const query = { ...brandScope(req.user, '_id') };
     if (status) query.status = status;
-    if (search) query.name = { $regex: search, $options: 'i' };
+    if (search) query.name = { $regex: escapeRegex(search), $options: 'i' };
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
@@ -48,6 +86,10 @@ exports.getBrands = async (req, res) => {
 // Get single brand
 exports.getBrand = async (req, res) => {
   try {
+    if (!hasBrandAccess(req.user, req.params.id)) {
+      return res.status(403).json({ success: false, message: 'Access denied to this brand' });
+    }
+
     const brand = await Brand.findById(req.params.id);
     if (!brand) {
       return res.status(404).json({ success: false, message: 'Brand not found' });
@@ -61,9 +103,20 @@ exports.getBrand = async (req, res) => {
 // Update brand
 exports.updateBrand = async (req, res) => {
   try {
+    if (!hasBrandAccess(req.user, req.params.id)) {
+      return res.status(403).json({ success: false, message: 'Access denied to this brand' });
+    }
+
+    const updates = buildBrandUpdate(req.body);
+
+    // Only admins can activate / deactivate brands
+    if (req.user.role !== 'admin') {
+      delete updates.status;
+    }
+
     const brand = await Brand.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      { $set: updates },
       { new: true, runValidators: true }
     );
     if (!brand) {
@@ -99,3 +152,130 @@ exports.deleteBrand = async (req, res) => {
     res.status(500).json({ success: false, message: error.message });
   }
 };
+
+// List column mapping profiles for codes uploads
+exports.getImportProfiles = async (req, res) => {
+  try {
+    if (!hasBrandAccess(req.user, req.params.id)) {
+      return res.status(403).json({ success: false, message: 'Access denied to this brand' });
+    }
+
+    const brand = await Brand.findById(req.params.id).select('importProfiles');
+    if (!brand) {
+      return res.status(404).json({ success: false, message: 'Brand not found' });
+    }
+    res.json({ success: true, data: brand.importProfiles });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Create or replace an import profile (by name)
+exports.saveImportProfile = async (req, res) => {
+  try {
+    if (!hasBrandAccess(req.user, req.params.id)) {
+      return res.status(403).json({ success: false, message: 'Access denied to this brand' });
+    }
+
+    const brand = await Brand.findById(req.params.id);
+    if (!brand) {
+      return res.status(404).json({ success: false, message: 'Brand not found' });
+    }
+
+    const { name } = req.params;
+    const { mapping, isDefault = false } = req.body;
+
+    // Only one default profile per brand
+    if (isDefault) {
+      brand.importProfiles.forEach((p) => { p.isDefault = false; });
+    }
+
+    let profile = brand.importProfiles.find((p) => p.name === name);
+    const created = !profile;
+    if (profile) {
+      profile.mapping = mapping;
+      profile.isDefault = isDefault;
+    } else {
+      brand.importProfiles.push({ name, mapping, isDefault });
+      profile = brand.importProfiles[brand.importProfiles.length - 1];
+    }
+    await brand.save();
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Import profile created' : 'Import profile updated',
+      data: profile,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Delete an import profile
+exports.deleteImportProfile = async (req, res) => {
+  try {
+    if (!hasBrandAccess(req.user, req.params.id)) {
+      return res.status(403).json({ success: false, message: 'Access denied to this brand' });
+    }
+
+    const brand = await Brand.findOneAndUpdate(
+      { _id: req.params.id, 'importProfiles.name': req.params.name },
+      { $pull: { importProfiles: { name: req.params.name } } },
+      { new: true }
+    );
+    if (!brand) {
+      return res.status(404).json({ success: false, message: 'Import profile not found' });
+    }
+    res.json({ success: true, message: 'Import profile deleted' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Get scan analytics for a brand
+exports.getBrandAnalytics = async (req, res) => {
+  try {
+    if (!hasBrandAccess(req.user, req.params.id)) {
+      return res.status(403).json({ success: false, message: 'Access denied to this brand' });
+    }
+
+    const brand = await Brand.findById(req.params.id).select('name');
+    if (!brand) {
+      return res.status(404).json({ success: false, message: 'Brand not found' });
+    }
+
+    const { product, batchNumber, sku, result, granularity = 'day' } = req.query;
+
+    // Default to the last 30 days
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
+    const startDate = req.query.startDate
+      ? new Date(req.query.startDate)
+      : new Date(endDate.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    if (startDate > endDate) {
+      return res.status(400).json({ success: false, message: 'startDate must be before endDate' });
+    }
+
+    const analytics = await verificationService.getVerificationStats(brand._id, {
+      startDate,
+      endDate,
+      granularity,
+      product,
+      batchNumber,
+      sku,
+      result,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        brand: { id: brand._id, name: brand.name },
+        range: { startDate, endDate, granularity },
+        filters: { product, batchNumber, sku, result },
+        ...analytics,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
@@ -1,12 +1,40 @@
 const { parse } = require('csv-parse');
 const fs = require('fs');
+const path = require('path');
 const { v4: uuidv4 } = require('uuid');
-const QRCode = require('qrcode');
+const ExcelJS = require('exceljs');
 const AuthCode = require('../models/AuthCode');
 const Brand = require('../models/Brand');
+const Product = require('../models/Product');
 const bulkUploadService = require('../services/bulkUploadService');
+const codeGenerationService = require('../services/codeGenerationService');
+const signingService = require('../services/signingService');
+const qrService = require('../services/qrService');
+const codeGenerator = require('../utils/codeGenerator');
+const config = require('../config');
+const queueService = require('../services/queueService');
 const BulkUploadJob = require('../models/BulkUploadJob');
-const s3Service = require('../utils/s3Service');
+const BulkUploadError = require('../models/BulkUploadError');
+const { hasBrandAccess, brandScope } = require('../middleware/auth');
+const escapeRegex = require('../utils/escapeRegex');
+
+// Find a code the user is allowed to manage (null if missing or out of scope)
+const findAccessibleCode = (req) => {
+  return AuthCode.findOne({ _id: req.params.id, ...brandScope(req.user) })
+    .populate('brand', 'name');
+};
+
+// Jobs are managed by the user who started them, while they keep access to
+// the job's brand (API keys act as their creator, within the key's brand)
+const canAccessJob = (user, job) => {
+  return job.userId.toString() === user._id.toString()
+    && hasBrandAccess(user, job.brandId?._id || job.brandId);
+};
+
+// Codes can only be assigned to a product of their own brand
+const isBrandProduct = async (productId, brandId) => {
+  return !productId || Boolean(await Product.exists({ _id: productId, brand: brandId }));
+};
 
 // Upload CSV of codes (Legacy - kept for backward compatibility)
 exports.uploadCodes = async (req, res) => {
@@ -21,6 +49,11 @@ exports.uploadCodes = async (req, res) => {
       return res.status(400).json({ success: false, message: 'Brand ID is required' });
     }
 
+    if (!hasBrandAccess(req.user, brandId)) {
+      fs.unlinkSync(req.file.path);
+      return res.status(403).json({ success: false, message: 'Access denied to this brand' });
+    }
+
     // Check brand exists
     const brand = await Brand.findById(brandId);
     if (!brand) {
@@ -107,6 +140,7 @@ exports.bulkUpload = async (req, res) => {
     }
 
     const { brandId, productId } = req.body;
+    const dryRun = req.body.dryRun === true;
     if (!brandId) {
       fs.unlinkSync(req.file.path);
       return res.status(400).json({ 
@@ -115,6 +149,14 @@ exports.bulkUpload = async (req, res) => {
       });
     }
 
+    if (!hasBrandAccess(req.user, brandId)) {
+      fs.unlinkSync(req.file.path);
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Access denied to this brand' 
+      });
+    }
+
     // Validate brand
     const brand = await Brand.findById(brandId);
     if (!brand) {
@@ -125,43 +167,95 @@ exports.bulkUpload = async (req, res) => {
       });
     }
 
+    if (!(await isBrandProduct(productId, brandId))) {
+      fs.unlinkSync(req.file.path);
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Product not found for this brand' 
+      });
+    }
+
+    // Column mapping: given with the upload, a named import profile,
+    // or the brand's default profile (none: detect from the headers)
+    let { columnMapping, profile } = req.body;
+    if (!columnMapping) {
+      const importProfile = profile
+        ? brand.importProfiles.find((p) => p.name === profile)
+        : brand.importProfiles.find((p) => p.isDefault);
+
+      if (profile && !importProfile) {
+        fs.unlinkSync(req.file.path);
+        return res.status(400).json({ 
+          success: false, 
+          message: `Import profile "${profile}" not found for this brand` 
+        });
+      }
+
+      if (importProfile) {
+        columnMapping = importProfile.mapping.toObject();
+        profile = importProfile.name;
+      }
+    }
+
     // Determine file type
-    const fileType = req.file.mimetype === 'text/csv' || req.file.originalname.endsWith('.csv')
-      ? 'csv'
-      : 'xlsx';
+    const fileType = bulkUploadService.detectFileType(req.file.originalname, req.file.mimetype);
 
-    // Create job
+    const { sheets } = req.body;
+    if (sheets && !['xlsx', 'xls', 'zip'].includes(fileType)) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Sheets can only be selected for Excel files' 
+      });
+    }
+
+    // Create job (the source file is kept until the job finishes)
     const jobId = uuidv4();
-    const job = await BulkUploadJob.create({
+    const job = new BulkUploadJob({
       jobId,
       userId: req.user._id,
       brandId,
+      productId: productId || undefined,
       filename: req.file.originalname,
       fileType,
+      dryRun,
+      columnMapping,
+      mappingProfile: columnMapping ? profile : undefined,
+      sheets,
       status: 'pending',
     });
+    await bulkUploadService.storeSourceFile(job, req.file.path);
+    await job.save();
 
-    // Process in background (non-blocking)
-    setImmediate(() => {
-      bulkUploadService.processBulkUpload({
+    // Hand off to the worker process (see worker.js)
+    try {
+      await queueService.enqueueBulkUpload({
         jobId,
-        filePath: req.file.path,
-        fileType,
-        brandId,
-        productId: productId || null,
-        userId: req.user._id,
-        io: req.app.get('io'), // Socket.io instance
-      }).catch(error => {
-        console.error('Background processing error:', error);
+        userId: req.user._id.toString(),
       });
-    });
+    } catch (error) {
+      console.error('Bulk upload enqueue error:', error);
+      job.status = 'failed';
+      job.lastError = 'Upload queue unavailable';
+      await job.save();
+      return res.status(503).json({ 
+        success: false, 
+        message: 'Upload queue is unavailable. Resume the job once it is back.',
+        data: { jobId },
+      });
+    }
 
     res.status(202).json({
       success: true,
-      message: 'Upload started. Processing in background.',
+      message: dryRun
+        ? 'Dry run queued. Nothing will be imported.'
+        : 'Upload queued. Processing in background.',
       data: {
         jobId,
         status: 'pending',
+        dryRun,
+        columnMapping: job.columnMapping,
+        mappingProfile: job.mappingProfile,
       },
     });
   } catch (error) {
@@ -172,6 +266,119 @@ exports.bulkUpload = async (req, res) => {
   }
 };
 
+// Generate random codes for a brand
+// POST /api/codes/generate
+// Small counts are answered with the codes; larger ones run as a bulk upload
+// job (type "generate") and are listed with GET /api/codes?importBatch=jobId
+exports.generateCodes = async (req, res) => {
+  try {
+    const { brandId, productId, count } = req.body;
+
+    if (!hasBrandAccess(req.user, brandId)) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Access denied to this brand' 
+      });
+    }
+
+    const brand = await Brand.findById(brandId);
+    if (!brand) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Brand not found' 
+      });
+    }
+
+    if (!(await isBrandProduct(productId, brandId))) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Product not found for this brand' 
+      });
+    }
+
+    // Request fields override the brand's scheme, which overrides the defaults
+    const scheme = codeGenerator.resolveScheme(brand.codeScheme?.toObject(), req.body.scheme);
+    const problem = codeGenerationService.checkScheme(scheme, count);
+    if (problem) {
+      return res.status(400).json({ 
+        success: false, 
+        message: problem 
+      });
+    }
+
+    const importBatch = uuidv4();
+
+    if (count <= config.codeGeneration.syncLimit) {
+      const codes = await codeGenerationService.createCodes({
+        brandId,
+        productId,
+        scheme,
+        count,
+        importBatch,
+      });
+      await Brand.findByIdAndUpdate(brandId, { $inc: { totalCodes: codes.length } });
+
+      // Signatures line up with `codes` (brands with a signing key only)
+      const signed = await signingService.signCodes(brandId, codes);
+
+      return res.status(201).json({
+        success: true,
+        message: `${codes.length} codes generated`,
+        data: {
+          importBatch,
+          count: codes.length,
+          scheme,
+          codes,
+          ...(signed && { kid: signed.kid, signatures: signed.signatures }),
+        },
+      });
+    }
+
+    // The job id doubles as the codes' importBatch
+    const job = new BulkUploadJob({
+      jobId: importBatch,
+      type: 'generate',
+      userId: req.user._id,
+      brandId,
+      productId: productId || undefined,
+      generation: { count, scheme },
+      status: 'pending',
+    });
+    await job.save();
+
+    try {
+      await queueService.enqueueBulkUpload({
+        jobId: job.jobId,
+        userId: req.user._id.toString(),
+      });
+    } catch (error) {
+      console.error('Code generation enqueue error:', error);
+      job.status = 'failed';
+      job.lastError = 'Upload queue unavailable';
+      await job.save();
+      return res.status(503).json({ 
+        success: false, 
+        message: 'Upload queue is unavailable. Resume the job once it is back.',
+        data: { jobId: job.jobId },
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Generation queued. Processing in background.',
+      data: {
+        jobId: job.jobId,
+        importBatch,
+        status: job.status,
+        count,
+        scheme,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
 // Get bulk upload job status
 exports.getBulkUploadStatus = async (req, res) => {
   try {
@@ -189,7 +396,7 @@ exports.getBulkUploadStatus = async (req, res) => {
     }
 
     // Check ownership
-    if (job.userId.toString() !== req.user._id.toString()) {
+    if (!canAccessJob(req.user, job)) {
       return res.status(403).json({ 
         success: false, 
         message: 'Access denied' 
@@ -200,12 +407,30 @@ exports.getBulkUploadStatus = async (req, res) => {
       success: true,
       data: {
         jobId: job.jobId,
+        type: job.type || 'codes',
         status: job.status,
         filename: job.filename,
         fileType: job.fileType,
+        dryRun: job.dryRun,
+        generation: job.generation,
+        qr: job.qr,
+        columnMapping: job.columnMapping,
+        mappingProfile: job.mappingProfile,
+        sheets: job.sheets,
         brand: job.brandId,
         progress: job.progress,
+        attempts: job.attempts,
+        maxAttempts: job.maxAttempts,
+        lastError: job.lastError,
+        cancelRequested: job.cancelRequested,
+        checkpoint: job.checkpoint,
         errors: job.errors.slice(0, 50), // Return first 50 errors
+        errorReport: job.errors.length > 0
+          ? {
+            csv: `/api/codes/bulk-upload/${job.jobId}/errors.csv`,
+            xlsx: `/api/codes/bulk-upload/${job.jobId}/errors.xlsx`,
+          }
+          : null,
         summary: job.summary,
         createdAt: job.createdAt,
         updatedAt: job.updatedAt,
@@ -216,14 +441,109 @@ exports.getBulkUploadStatus = async (req, res) => {
   }
 };
 
+// Escape a value for a CSV cell (and keep spreadsheets from running it as a formula)
+const csvCell = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Download every rejected row of a bulk upload job
+// GET /api/codes/bulk-upload/:jobId/errors.csv | errors.xlsx
+exports.downloadBulkUploadErrors = async (req, res) => {
+  try {
+    const { jobId, format } = req.params;
+
+    const job = await BulkUploadJob.findOne({ jobId }).select('jobId userId brandId filename').lean();
+
+    if (!job) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Job not found' 
+      });
+    }
+
+    // Check ownership
+    if (!canAccessJob(req.user, job)) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Access denied' 
+      });
+    }
+
+    // Generation and QR jobs have no file
+    const baseName = path.parse(job.filename || job.jobId).name.replace(/[^\w.-]+/g, '_') || 'upload';
+    const cursor = BulkUploadError.find({ jobId })
+      .sort({ batch: 1, row: 1 })
+      .select('row file sheet value reason error')
+      .lean()
+      .cursor();
+
+    // Excel is streamed too: rows are committed to the zip as they are read
+    if (format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename=${baseName}-errors.xlsx`);
+
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+        stream: res,
+        useStyles: false,
+        useSharedStrings: false,
+      });
+      const worksheet = workbook.addWorksheet('Errors');
+      worksheet.addRow(['row', 'file', 'sheet', 'value', 'reason', 'error']).commit();
+
+      for await (const entry of cursor) {
+        worksheet.addRow([entry.row, entry.file, entry.sheet, entry.value, entry.reason, entry.error]).commit();
+        if (res.writableNeedDrain) {
+          await new Promise((resolve) => res.once('drain', resolve));
+        }
+      }
+
+      worksheet.commit();
+      return await workbook.commit();
+    }
+
+    // CSV is streamed row by row
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename=${baseName}-errors.csv`);
+    res.write('row,file,sheet,value,reason,error\n');
+
+    for await (const entry of cursor) {
+      const line = [entry.row, entry.file, entry.sheet, entry.value, entry.reason, entry.error]
+        .map(csvCell)
+        .join(',');
+      if (!res.write(`${line}\n`)) {
+        await new Promise((resolve) => res.once('drain', resolve));
+      }
+    }
+
+    res.end();
+  } catch (error) {
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
 // Get all bulk upload jobs for user
 exports.getBulkUploadJobs = async (req, res) => {
   try {
-    const { status, brandId, page = 1, limit = 20 } = req.query;
+    const { status, brandId, type, page = 1, limit = 20 } = req.query;
 
-    const query = { userId: req.user._id };
+    // Product imports are listed under /api/products/upload-jobs
+    const query = { ...brandScope(req.user, 'brandId'), userId: req.user._id, type: { $ne: 'products' } };
+    if (type) query.type = type;
     if (status) query.status = status;
-    if (brandId) query.brandId = brandId;
+    if (brandId) {
+      if (!hasBrandAccess(req.user, brandId)) {
+        return res.status(403).json({ 
+          success: false, 
+          message: 'Access denied to this brand' 
+        });
+      }
+      query.brandId = brandId;
+    }
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
@@ -267,7 +587,7 @@ exports.cancelBulkUpload = async (req, res) => {
     }
 
     // Check ownership
-    if (job.userId.toString() !== req.user._id.toString()) {
+    if (!canAccessJob(req.user, job)) {
       return res.status(403).json({ 
         success: false, 
         message: 'Access denied' 
@@ -282,17 +602,114 @@ exports.cancelBulkUpload = async (req, res) => {
       });
     }
 
-    job.status = 'cancelled';
-    job.summary.endTime = new Date();
-    if (job.summary.startTime) {
-      job.summary.duration = job.summary.endTime - job.summary.startTime;
+    if (job.cancelRequested) {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'Cancellation already requested' 
+      });
+    }
+
+    // rollback: also delete the codes this upload has already inserted
+    // (QR jobs insert none; their images are kept)
+    const rollback = req.body.rollback === true && job.type !== 'qr';
+
+    // Not running: dropped from the queue and cancelled right away;
+    // running: the worker stops after the current batch and finalizes
+    if (await bulkUploadService.cancelJob(job, rollback)) {
+      return res.json({
+        success: true,
+        message: 'Job cancelled successfully',
+        data: job,
+      });
     }
+
+    res.status(202).json({
+      success: true,
+      message: 'Cancellation requested. The job stops after the current batch.',
+      data: {
+        jobId: job.jobId,
+        status: job.status,
+        cancelRequested: true,
+        rollback,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Resume a failed bulk upload job from its checkpoint
+exports.resumeBulkUpload = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    const job = await BulkUploadJob.findOne({ jobId });
+
+    if (!job) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Job not found' 
+      });
+    }
+
+    // Check ownership
+    if (!canAccessJob(req.user, job)) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Access denied' 
+      });
+    }
+
+    if (job.status !== 'failed') {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Cannot resume ${job.status} job` 
+      });
+    }
+
+    if (!bulkUploadService.hasSourceFile(job)) {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'The uploaded file is no longer available. Please upload it again.' 
+      });
+    }
+
+    // Only an upload the queue is done with can be resumed; one that is still
+    // waiting, delayed for a retry or running would end up queued twice
+    const queueState = await queueService.getBulkUploadState(jobId);
+    if (queueState && !['failed', 'completed'].includes(queueState)) {
+      return res.status(409).json({ 
+        success: false, 
+        message: `The upload is still ${queueState} in the queue` 
+      });
+    }
+
+    // Bull keeps the failed job under the same id; drop it so the upload can be re-added
+    if (!await queueService.removeQueuedBulkUpload(jobId)) {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'The upload is still running' 
+      });
+    }
+
+    job.status = 'pending';
+    job.lastError = undefined;
     await job.save();
 
-    res.json({
+    await queueService.enqueueBulkUpload({
+      jobId,
+      userId: job.userId.toString(),
+    });
+
+    res.status(202).json({
       success: true,
-      message: 'Job cancelled successfully',
-      data: job,
+      message: 'Upload resumed. Processing in background.',
+      data: {
+        jobId,
+        status: job.status,
+        checkpoint: job.checkpoint,
+        progress: job.progress,
+      },
     });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
@@ -311,6 +728,10 @@ exports.addCode = async (req, res) => {
       });
     }
 
+    if (!hasBrandAccess(req.user, brandId)) {
+      return res.status(403).json({ success: false, message: 'Access denied to this brand' });
+    }
+
     const brand = await Brand.findById(brandId);
     if (!brand) {
       return res.status(404).json({ success: false, message: 'Brand not found' });
@@ -335,14 +756,22 @@ exports.addCode = async (req, res) => {
 };
 
 // Get codes for a brand
+// ?signed=true (with brandId) adds each code's signature by the brand's
+// active signing key, for printing signed QR codes elsewhere
 exports.getCodes = async (req, res) => {
   try {
     const { brandId, status, search, page = 1, limit = 50 } = req.query;
 
-    const query = {};
-    if (brandId) query.brand = brandId;
+    const query = { ...brandScope(req.user) };
+    if (brandId) {
+      if (!hasBrandAccess(req.user, brandId)) {
+        return res.status(403).json({ success: false, message: 'Access denied to this brand' });
+      }
+      query.brand = brandId;
+    }
     if (status) query.status = status;
-    if (search) query.code = { $regex: search, $options: 'i' };
+    if (search) query.code = { $regex: escapeRegex(search), $options: 'i' };
+    if (req.query.importBatch) query.importBatch = req.query.importBatch;
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
@@ -355,9 +784,22 @@ exports.getCodes = async (req, res) => {
       AuthCode.countDocuments(query),
     ]);
 
+    let data = codes;
+    if (req.query.signed === 'true') {
+      const signed = await signingService.signCodes(brandId, codes.map((authCode) => authCode.code));
+      if (!signed) {
+        return res.status(400).json({ success: false, message: 'This brand has no active signing key' });
+      }
+      data = codes.map((authCode, i) => ({
+        ...authCode.toJSON(),
+        kid: signed.kid,
+        signature: signed.signatures[i],
+      }));
+    }
+
     res.json({
       success: true,
-      data: codes,
+      data,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -373,7 +815,7 @@ exports.getCodes = async (req, res) => {
 // Delete code
 exports.deleteCode = async (req, res) => {
   try {
-    const code = await AuthCode.findByIdAndDelete(req.params.id);
+    const code = await AuthCode.findOneAndDelete({ _id: req.params.id, ...brandScope(req.user) });
     if (!code) {
       return res.status(404).json({ success: false, message: 'Code not found' });
     }
@@ -389,8 +831,8 @@ exports.deleteCode = async (req, res) => {
 // Deactivate code
 exports.deactivateCode = async (req, res) => {
   try {
-    const code = await AuthCode.findByIdAndUpdate(
-      req.params.id,
+    const code = await AuthCode.findOneAndUpdate(
+      { _id: req.params.id, ...brandScope(req.user) },
       { status: 'inactive' },
       { new: true }
     );
@@ -435,10 +877,7 @@ exports.downloadExcelTemplate = (req, res) => {
 // Generate QR code for authentication code
 exports.generateQRCode = async (req, res) => {
   try {
-    const { codeId } = req.params;
-    const frontendUrl = process.env.FRONTEND_BASE_URL;
-
-    if (!frontendUrl) {
+    if (!qrService.frontendUrl()) {
       return res.status(500).json({
         success: false,
         message: 'FRONTEND_BASE_URL environment variable is not set',
@@ -446,7 +885,7 @@ exports.generateQRCode = async (req, res) => {
     }
 
     // Fetch the auth code
-    const authCode = await AuthCode.findById(codeId).populate('brand', 'name');
+    const authCode = await findAccessibleCode(req);
     if (!authCode) {
       return res.status(404).json({
         success: false,
@@ -454,25 +893,8 @@ exports.generateQRCode = async (req, res) => {
       });
     }
 
-    // Generate QR code data URL with frontend URL and auth code
-    const qrData = `${frontendUrl}?code=${encodeURIComponent(authCode.code)}`;
-    
-    // Generate QR code as PNG buffer
-    const qrBuffer = await QRCode.toBuffer(qrData, {
-      errorCorrectionLevel: 'H',
-      type: 'image/png',
-      quality: 0.95,
-      margin: 1,
-      width: 300,
-    });
-
-    // Upload to S3
-    const fileName = `${authCode.code}-${Date.now()}.png`;
-    const s3Url = await s3Service.uploadBuffer(qrBuffer, fileName, 'image/png');
-
-    // Update auth code with QR code URL
-    authCode.qrCodeUrl = s3Url;
-    await authCode.save();
+    // Render, upload to S3 and store the URL on the code
+    const { qrCodeUrl, qrData } = await qrService.generateForCode(authCode);
 
     res.status(201).json({
       success: true,
@@ -480,7 +902,7 @@ exports.generateQRCode = async (req, res) => {
       data: {
         codeId: authCode._id,
         code: authCode.code,
-        qrCodeUrl: s3Url,
+        qrCodeUrl,
         qrData,
         brand: authCode.brand,
       },
@@ -493,12 +915,99 @@ exports.generateQRCode = async (req, res) => {
   }
 };
 
+// Generate QR codes for all codes matching a filter, as a background job
+// POST /api/codes/generate-qr
+// Body: { brandId, productId?, importBatch?, status?, onlyMissing? (default true) }
+// Progress is reported like a bulk upload (status, cancel, resume, bulkUploadProgress)
+exports.bulkGenerateQRCodes = async (req, res) => {
+  try {
+    const { brandId, productId, importBatch, status, onlyMissing = true } = req.body;
+
+    if (!qrService.frontendUrl()) {
+      return res.status(500).json({
+        success: false,
+        message: 'FRONTEND_BASE_URL environment variable is not set',
+      });
+    }
+
+    if (!hasBrandAccess(req.user, brandId)) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Access denied to this brand' 
+      });
+    }
+
+    const brand = await Brand.findById(brandId).select('_id');
+    if (!brand) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Brand not found' 
+      });
+    }
+
+    if (!(await isBrandProduct(productId, brandId))) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Product not found for this brand' 
+      });
+    }
+
+    const job = new BulkUploadJob({
+      jobId: uuidv4(),
+      type: 'qr',
+      userId: req.user._id,
+      brandId,
+      productId: productId || undefined,
+      qr: { importBatch, status, onlyMissing },
+      status: 'pending',
+    });
+
+    const count = await AuthCode.countDocuments(bulkUploadService.qrCodeFilter(job));
+    if (count === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'No codes match the filter' 
+      });
+    }
+
+    job.progress.total = count;
+    await job.save();
+
+    try {
+      await queueService.enqueueBulkUpload({
+        jobId: job.jobId,
+        userId: req.user._id.toString(),
+      });
+    } catch (error) {
+      console.error('QR job enqueue error:', error);
+      job.status = 'failed';
+      job.lastError = 'Upload queue unavailable';
+      await job.save();
+      return res.status(503).json({ 
+        success: false, 
+        message: 'Upload queue is unavailable. Resume the job once it is back.',
+        data: { jobId: job.jobId },
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'QR generation queued. Processing in background.',
+      data: {
+        jobId: job.jobId,
+        status: job.status,
+        count,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
 // Get QR code for authentication code
 exports.getQRCode = async (req, res) => {
   try {
-    const { codeId } = req.params;
-
-    const authCode = await AuthCode.findById(codeId).populate('brand', 'name');
+    const authCode = await findAccessibleCode(req);
     if (!authCode) {
       return res.status(404).json({
         success: false,
@@ -533,17 +1042,14 @@ exports.getQRCode = async (req, res) => {
 // Regenerate QR code for authentication code
 exports.regenerateQRCode = async (req, res) => {
   try {
-    const { codeId } = req.params;
-    const frontendUrl = process.env.FRONTEND_BASE_URL;
-
-    if (!frontendUrl) {
+    if (!qrService.frontendUrl()) {
       return res.status(500).json({
         success: false,
         message: 'FRONTEND_BASE_URL environment variable is not set',
       });
     }
 
-    const authCode = await AuthCode.findById(codeId).populate('brand', 'name');
+    const authCode = await findAccessibleCode(req);
     if (!authCode) {
       return res.status(404).json({
         success: false,
@@ -551,33 +1057,8 @@ exports.regenerateQRCode = async (req, res) => {
       });
     }
 
-    // Delete old QR code from S3 if it exists
-    if (authCode.qrCodeUrl) {
-      try {
-        await s3Service.deleteFile(authCode.qrCodeUrl);
-      } catch (error) {
-        console.error('Error deleting old QR code:', error);
-        // Continue anyway
-      }
-    }
-
-    // Generate new QR code
-    const qrData = `${frontendUrl}?code=${encodeURIComponent(authCode.code)}`;
-    const qrBuffer = await QRCode.toBuffer(qrData, {
-      errorCorrectionLevel: 'H',
-      type: 'image/png',
-      quality: 0.95,
-      margin: 1,
-      width: 300,
-    });
-
-    // Upload to S3
-    const fileName = `${authCode.code}-${Date.now()}.png`;
-    const s3Url = await s3Service.uploadBuffer(qrBuffer, fileName, 'image/png');
-
-    // Update auth code with new QR code URL
-    authCode.qrCodeUrl = s3Url;
-    await authCode.save();
+    // New image; the old one is deleted from S3
+    const { qrCodeUrl, qrData } = await qrService.generateForCode(authCode);
 
     res.json({
       success: true,
@@ -585,7 +1066,7 @@ exports.regenerateQRCode = async (req, res) => {
       data: {
         codeId: authCode._id,
         code: authCode.code,
-        qrCodeUrl: s3Url,
+        qrCodeUrl,
         qrData,
         brand: authCode.brand,
       },
@@ -1,15 +1,24 @@
-const { Product, Brand } = require('../models');
+const { Product, Brand, BulkUploadJob } = require('../models');
 const { catchAsync } = require('../middleware/errorHandler');
+const { hasBrandAccess, brandScope } = require('../middleware/auth');
 const ApiResponse = require('../utils/apiResponse');
-const { processCSVUpload, generateCSVTemplate } = require('../services/csvService');
+const { generateCSVTemplate } = require('../services/csvService');
+const bulkUploadService = require('../services/bulkUploadService');
+const queueService = require('../services/queueService');
 const { nanoid } = require('nanoid');
+const { v4: uuidv4 } = require('uuid');
 const config = require('../config');
+const escapeRegex = require('../utils/escapeRegex');
 
 /**
  * Create single product
  * POST /api/products
  */
 const createProduct = catchAsync(async (req, res) => {
+  if (!hasBrandAccess(req.user, req.body.brand)) {
+    return ApiResponse.forbidden(res, 'Access denied to this brand');
+  }
+  
   // Generate authToken if not provided
   if (!req.body.authToken) {
     req.body.authToken = nanoid(32);
@@ -35,6 +44,10 @@ const createProduct = catchAsync(async (req, res) => {
 const bulkCreateProducts = catchAsync(async (req, res) => {
   const { brand, count, batchNumber, name, sku, category, manufacturingDate, expiryDate, metadata } = req.body;
   
+  if (!hasBrandAccess(req.user, brand)) {
+    return ApiResponse.forbidden(res, 'Access denied to this brand');
+  }
+  
   // Check brand exists
   const brandDoc = await Brand.findById(brand);
   if (!brandDoc) {
@@ -80,43 +93,206 @@ const bulkCreateProducts = catchAsync(async (req, res) => {
 });
 
 /**
- * Upload CSV to create products
+ * Upload a CSV or Excel file to create products
  * POST /api/products/upload
+ * The file is imported in the background (202); follow the job through
+ * GET /api/products/upload/:jobId or the bulkUploadProgress socket event.
+ * Send dryRun=true to validate the file without creating anything
  */
 const uploadProducts = catchAsync(async (req, res) => {
   if (!req.file) {
-    return ApiResponse.badRequest(res, 'Please upload a CSV file');
+    return ApiResponse.badRequest(res, 'Please upload a CSV or Excel file');
   }
   
   const { brand } = req.body;
   
   if (!brand) {
+    bulkUploadService.cleanupFile(req.file.path);
     return ApiResponse.badRequest(res, 'Brand ID is required');
   }
   
+  if (!hasBrandAccess(req.user, brand)) {
+    bulkUploadService.cleanupFile(req.file.path);
+    return ApiResponse.forbidden(res, 'Access denied to this brand');
+  }
+  
   // Check brand exists
   const brandDoc = await Brand.findById(brand);
   if (!brandDoc) {
+    bulkUploadService.cleanupFile(req.file.path);
     return ApiResponse.notFound(res, 'Brand not found');
   }
   
-  // Process CSV
-  const results = await processCSVUpload(req.file.path, brand);
-  
-  return ApiResponse.success(res, 'CSV processed successfully', {
-    importBatch: results.importBatch,
-    summary: {
-      total: results.totalProcessed,
-      success: results.success.length,
-      failed: results.failed.length,
-      duplicates: results.duplicates.length,
-    },
-    success: results.success.slice(0, 100), // Return first 100 for reference
-    failed: results.failed,
-    duplicates: results.duplicates,
+  // Imported by the bulk upload worker, like code uploads
+  const dryRun = req.body.dryRun === true;
+  const jobId = uuidv4();
+  const job = new BulkUploadJob({
+    jobId,
+    type: 'products',
+    userId: req.user._id,
+    brandId: brand,
+    filename: req.file.originalname,
+    fileType: bulkUploadService.detectFileType(req.file.originalname, req.file.mimetype, 'products'),
+    dryRun,
+    status: 'pending',
+  });
+  
+  try {
+    await bulkUploadService.storeSourceFile(job, req.file.path);
+    await job.save();
+  } catch (error) {
+    bulkUploadService.cleanupFile(req.file.path);
+    throw error;
+  }
+  
+  try {
+    await queueService.enqueueBulkUpload({
+      jobId,
+      userId: req.user._id.toString(),
+    });
+  } catch (error) {
+    console.error('Product import enqueue error:', error);
+    job.status = 'failed';
+    job.lastError = 'Upload queue unavailable';
+    await job.save();
+    return ApiResponse.error(res, 'Upload queue is unavailable. Please try again later.', 503);
+  }
+  
+  const message = dryRun
+    ? 'Dry run queued. No products will be created.'
+    : 'Import queued. Processing in background.';
+  
+  // The job id is also the importBatch of the created products
+  return ApiResponse.success(res, message, {
+    jobId,
+    importBatch: dryRun ? undefined : jobId,
+    status: job.status,
+    dryRun,
+  }, 202);
+});
+
+/**
+ * Find a product import job of the current user, in a brand they can access
+ * Responds itself and returns null when the job is missing or not theirs.
+ */
+const findUploadJob = async (req, res) => {
+  const job = await BulkUploadJob.findOne({ jobId: req.params.jobId, type: 'products' });
+  
+  if (!job) {
+    ApiResponse.notFound(res, 'Job not found');
+    return null;
+  }
+  
+  // API keys act as their creator, within the key's brand
+  if (job.userId.toString() !== req.user._id.toString() || !hasBrandAccess(req.user, job.brandId)) {
+    ApiResponse.forbidden(res, 'Access denied');
+    return null;
+  }
+  
+  return job;
+};
+
+/**
+ * Get product import job status
+ * GET /api/products/upload/:jobId
+ */
+const getUploadStatus = catchAsync(async (req, res) => {
+  const job = await findUploadJob(req, res);
+  if (!job) return;
+  
+  return ApiResponse.success(res, 'Import job retrieved successfully', {
+    jobId: job.jobId,
+    importBatch: job.dryRun ? undefined : job.jobId,
+    status: job.status,
+    filename: job.filename,
+    fileType: job.fileType,
+    dryRun: job.dryRun,
+    brand: job.brandId,
+    progress: job.progress,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    lastError: job.lastError,
+    cancelRequested: job.cancelRequested,
+    checkpoint: job.checkpoint,
+    errors: job.errors.slice(0, 50), // Return first 50 errors
+    summary: job.summary,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+  });
+});
+
+/**
+ * Get product import jobs of the current user
+ * GET /api/products/upload-jobs
+ */
+const getUploadJobs = catchAsync(async (req, res) => {
+  const { status, brandId, page = 1, limit = 20 } = req.query;
+  
+  const query = { ...brandScope(req.user, 'brandId'), userId: req.user._id, type: 'products' };
+  if (status) query.status = status;
+  if (brandId) {
+    if (!hasBrandAccess(req.user, brandId)) {
+      return ApiResponse.forbidden(res, 'Access denied to this brand');
+    }
+    query.brandId = brandId;
+  }
+  
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  
+  const [jobs, total] = await Promise.all([
+    BulkUploadJob.find(query)
+      .populate('brandId', 'name')
+      .sort('-createdAt')
+      .skip(skip)
+      .limit(parseInt(limit))
+      .select('-errors')
+      .lean(),
+    BulkUploadJob.countDocuments(query),
+  ]);
+  
+  return ApiResponse.paginated(res, 'Import jobs retrieved successfully', jobs, {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    total,
   });
 });
 
+/**
+ * Cancel product import job
+ * PATCH /api/products/upload/:jobId/cancel
+ * With rollback the products it already created are deleted too
+ * (scanned ones are kept).
+ */
+const cancelUpload = catchAsync(async (req, res) => {
+  const job = await findUploadJob(req, res);
+  if (!job) return;
+  
+  if (!['pending', 'processing'].includes(job.status)) {
+    return ApiResponse.badRequest(res, `Cannot cancel ${job.status} job`);
+  }
+  
+  if (job.cancelRequested) {
+    return ApiResponse.conflict(res, 'Cancellation already requested');
+  }
+  
+  const rollback = req.body.rollback === true;
+  
+  if (await bulkUploadService.cancelJob(job, rollback)) {
+    return ApiResponse.success(res, 'Import cancelled successfully', {
+      jobId: job.jobId,
+      status: job.status,
+      summary: job.summary,
+    });
+  }
+  
+  return ApiResponse.success(res, 'Cancellation requested. The import stops after the current batch.', {
+    jobId: job.jobId,
+    status: job.status,
+    cancelRequested: true,
+    rollback,
+  }, 202);
+});
+
 /**
  * Download CSV template
  * GET /api/products/template
@@ -145,28 +321,29 @@ const getProducts = catchAsync(async (req, res) => {
     sort = '-createdAt',
   } = req.query;
   
-  // Build query
-  const query = {};
+  // Build query - non-admin users only see products from brands they have access to
+  const query = { ...brandScope(req.user) };
   
-  if (brand) query.brand = brand;
+  if (brand) {
+    if (!hasBrandAccess(req.user, brand)) {
+      return ApiResponse.forbidden(res, 'Access denied to this brand');
+    }
+    query.brand = brand;
+  }
   if (status) query.status = status;
   if (batchNumber) query.batchNumber = batchNumber;
   if (importBatch) query.importBatch = importBatch;
   
   if (search) {
+    const pattern = escapeRegex(search);
     query.$or = [
-      { name: { $regex: search, $options: 'i' } },
-      { sku: { $regex: search, $options: 'i' } },
-      { authToken: { $regex: search, $options: 'i' } },
-      { serialNumber: { $regex: search, $options: 'i' } },
+      { name: { $regex: pattern, $options: 'i' } },
+      { sku: { $regex: pattern, $options: 'i' } },
+      { authToken: { $regex: pattern, $options: 'i' } },
+      { serialNumber: { $regex: pattern, $options: 'i' } },
     ];
   }
   
-  // For non-admin users, only show products from brands they have access to
-  if (req.user.role !== 'admin') {
-    query.brand = { $in: req.user.brandAccess };
-  }
-  
   const skip = (parseInt(page) - 1) * parseInt(limit);
   
   const [products, total] = await Promise.all([
@@ -197,7 +374,7 @@ const getProducts = catchAsync(async (req, res) => {
  * GET /api/products/:id
  */
 const getProduct = catchAsync(async (req, res) => {
-  const product = await Product.findById(req.params.id)
+  const product = await Product.findOne({ _id: req.params.id, ...brandScope(req.user) })
     .populate('brand', 'name slug logo')
     .populate('revokedBy', 'name email');
   
@@ -216,7 +393,7 @@ const getProduct = catchAsync(async (req, res) => {
  * GET /api/products/token/:token
  */
 const getProductByToken = catchAsync(async (req, res) => {
-  const product = await Product.findOne({ authToken: req.params.token })
+  const product = await Product.findOne({ authToken: req.params.token, ...brandScope(req.user) })
     .populate('brand', 'name slug logo');
   
   if (!product) {
@@ -252,10 +429,11 @@ const updateProduct = catchAsync(async (req, res) => {
     }
   }
   
-  const product = await Product.findByIdAndUpdate(req.params.id, updates, {
-    new: true,
-    runValidators: true,
-  });
+  const product = await Product.findOneAndUpdate(
+    { _id: req.params.id, ...brandScope(req.user) },
+    updates,
+    { new: true, runValidators: true }
+  );
   
   if (!product) {
     return ApiResponse.notFound(res, 'Product not found');
@@ -271,7 +449,7 @@ const updateProduct = catchAsync(async (req, res) => {
 const revokeProduct = catchAsync(async (req, res) => {
   const { reason } = req.body;
   
-  const product = await Product.findById(req.params.id);
+  const product = await Product.findOne({ _id: req.params.id, ...brandScope(req.user) });
   
   if (!product) {
     return ApiResponse.notFound(res, 'Product not found');
@@ -300,8 +478,11 @@ const bulkRevokeProducts = catchAsync(async (req, res) => {
   let query = {};
   
   if (productIds && productIds.length > 0) {
-    query._id = { $in: productIds };
+    query = { _id: { $in: productIds }, ...brandScope(req.user) };
   } else if (batchNumber && brand) {
+    if (!hasBrandAccess(req.user, brand)) {
+      return ApiResponse.forbidden(res, 'Access denied to this brand');
+    }
     query = { batchNumber, brand };
   } else {
     return ApiResponse.badRequest(res, 'Provide either productIds or both batchNumber and brand');
@@ -327,7 +508,7 @@ const bulkRevokeProducts = catchAsync(async (req, res) => {
  * DELETE /api/products/:id
  */
 const deleteProduct = catchAsync(async (req, res) => {
-  const product = await Product.findByIdAndDelete(req.params.id);
+  const product = await Product.findOneAndDelete({ _id: req.params.id, ...brandScope(req.user) });
   
   if (!product) {
     return ApiResponse.notFound(res, 'Product not found');
@@ -349,15 +530,16 @@ const getProductsByBatch = catchAsync(async (req, res) => {
   const { importBatch } = req.params;
   const { page = 1, limit = 100 } = req.query;
   
+  const query = { importBatch, ...brandScope(req.user) };
   const skip = (parseInt(page) - 1) * parseInt(limit);
   
   const [products, total] = await Promise.all([
-    Product.find({ importBatch })
+    Product.find(query)
       .sort('-createdAt')
       .skip(skip)
       .limit(parseInt(limit))
       .select('authToken name sku status createdAt'),
-    Product.countDocuments({ importBatch }),
+    Product.countDocuments(query),
   ]);
   
   const productsWithUrls = products.map((p) => ({
@@ -376,6 +558,9 @@ module.exports = {
   createProduct,
   bulkCreateProducts,
   uploadProducts,
+  getUploadStatus,
+  getUploadJobs,
+  cancelUpload,
   downloadTemplate,
   getProducts,
   getProduct,
@@ -0,0 +1,115 @@
+const { SigningKey, Brand } = require('../models');
+const { catchAsync } = require('../middleware/errorHandler');
+const { hasBrandAccess } = require('../middleware/auth');
+const signingService = require('../services/signingService');
+const ApiResponse = require('../utils/apiResponse');
+
+/**
+ * Create a signing key for a brand (retires the current one)
+ * POST /api/brands/:id/signing-keys
+ * HMAC secrets are only returned once.
+ */
+const createSigningKey = catchAsync(async (req, res) => {
+  if (!hasBrandAccess(req.user, req.params.id)) {
+    return ApiResponse.forbidden(res, 'Access denied to this brand');
+  }
+
+  const brand = await Brand.findById(req.params.id).select('name');
+  if (!brand) {
+    return ApiResponse.notFound(res, 'Brand not found');
+  }
+
+  const { signingKey, secret } = await signingService.createKey(
+    brand._id,
+    req.body.algorithm || 'ed25519',
+    req.user._id
+  );
+
+  if (secret) {
+    return ApiResponse.created(res, 'Signing key created. Store the secret now, it will not be shown again.', {
+      ...signingKey.toJSON(),
+      secret,
+    });
+  }
+
+  return ApiResponse.created(res, 'Signing key created', {
+    ...signingKey.toJSON(),
+    pem: signingService.publicKeyPem(signingKey),
+  });
+});
+
+/**
+ * List signing keys for a brand
+ * GET /api/brands/:id/signing-keys
+ */
+const getSigningKeys = catchAsync(async (req, res) => {
+  if (!hasBrandAccess(req.user, req.params.id)) {
+    return ApiResponse.forbidden(res, 'Access denied to this brand');
+  }
+
+  const signingKeys = await SigningKey.find({ brand: req.params.id })
+    .populate('createdBy', 'name email')
+    .sort('-createdAt');
+
+  return ApiResponse.success(res, 'Signing keys retrieved successfully', signingKeys);
+});
+
+/**
+ * Revoke a signing key; codes it signed no longer verify
+ * DELETE /api/brands/:id/signing-keys/:kid
+ */
+const revokeSigningKey = catchAsync(async (req, res) => {
+  if (!hasBrandAccess(req.user, req.params.id)) {
+    return ApiResponse.forbidden(res, 'Access denied to this brand');
+  }
+
+  const signingKey = await SigningKey.findOne({ kid: req.params.kid, brand: req.params.id });
+  if (!signingKey) {
+    return ApiResponse.notFound(res, 'Signing key not found');
+  }
+
+  if (signingKey.status === 'revoked') {
+    return ApiResponse.badRequest(res, 'Signing key is already revoked');
+  }
+
+  await signingService.revokeKey(signingKey, req.user._id);
+
+  return ApiResponse.success(res, 'Signing key revoked successfully', signingKey);
+});
+
+/**
+ * Public keys of a brand, for verifying signed codes offline - PUBLIC ENDPOINT
+ * GET /api/verify/brands/:brandId/keys
+ * Only Ed25519 keys that still verify are listed (HMAC keys are secret).
+ */
+const getPublicKeys = catchAsync(async (req, res) => {
+  const brand = await Brand.findOne({ _id: req.params.brandId, status: 'active' }).select('name');
+  if (!brand) {
+    return ApiResponse.notFound(res, 'Brand not found');
+  }
+
+  const signingKeys = await SigningKey.find({
+    brand: brand._id,
+    algorithm: 'ed25519',
+    status: { $in: ['active', 'retired'] },
+  }).sort('-createdAt');
+
+  return ApiResponse.success(res, 'Public keys retrieved successfully', {
+    brand: brand.name,
+    keys: signingKeys.map((signingKey) => ({
+      kid: signingKey.kid,
+      algorithm: signingKey.algorithm,
+      status: signingKey.status,
+      publicKey: signingKey.publicKey,
+      pem: signingService.publicKeyPem(signingKey),
+      createdAt: signingKey.createdAt,
+    })),
+  });
+});
+
+module.exports = {
+  createSigningKey,
+  getSigningKeys,
+  revokeSigningKey,
+  getPublicKeys,
+};
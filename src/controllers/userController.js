@@ -0,0 +1,302 @@
+const crypto = require('crypto');
+const { User, Brand } = require('../models');
+const { catchAsync } = require('../middleware/errorHandler');
+const ApiResponse = require('../utils/apiResponse');
+const tokenService = require('../services/tokenService');
+const mailService = require('../services/mailService');
+const escapeRegex = require('../utils/escapeRegex');
+
+const INVITE_EXPIRES_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Format a user for responses
+ */
+const formatUser = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  brandAccess: user.brandAccess,
+  isActive: user.isActive,
+  invitedBy: user.invitedBy,
+  deactivatedAt: user.deactivatedAt,
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt,
+});
+
+/**
+ * Format a user's brand access for responses
+ */
+const formatBrandAccess = (user) => ({
+  userId: user._id,
+  role: user.role,
+  brands: user.brandAccess,
+});
+
+/**
+ * Ensure every brand id exists, returning the missing ones
+ */
+const findMissingBrands = async (brandIds) => {
+  const found = await Brand.find({ _id: { $in: brandIds } }).distinct('_id');
+  const foundSet = new Set(found.map((id) => id.toString()));
+  return brandIds.filter((id) => !foundSet.has(id.toString()));
+};
+
+/**
+ * List users
+ * GET /api/users
+ */
+const getUsers = catchAsync(async (req, res) => {
+  const { role, isActive, brand, search, page = 1, limit = 20 } = req.query;
+  
+  const query = {};
+  if (role) query.role = role;
+  if (isActive !== undefined) query.isActive = isActive === 'true';
+  if (brand) query.brandAccess = brand;
+  if (search) {
+    const pattern = escapeRegex(search);
+    query.$or = [
+      { name: { $regex: pattern, $options: 'i' } },
+      { email: { $regex: pattern, $options: 'i' } },
+    ];
+  }
+  
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  
+  const [users, total] = await Promise.all([
+    User.find(query)
+      .populate('brandAccess', 'name')
+      .sort('-createdAt')
+      .skip(skip)
+      .limit(parseInt(limit)),
+    User.countDocuments(query),
+  ]);
+  
+  return ApiResponse.paginated(res, 'Users retrieved successfully', users.map(formatUser), {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    total,
+  });
+});
+
+/**
+ * Get single user
+ * GET /api/users/:id
+ */
+const getUser = catchAsync(async (req, res) => {
+  const user = await User.findById(req.params.id)
+    .populate('brandAccess', 'name status')
+    .populate('invitedBy', 'name email');
+  
+  if (!user) {
+    return ApiResponse.notFound(res, 'User not found');
+  }
+  
+  return ApiResponse.success(res, 'User retrieved successfully', formatUser(user));
+});
+
+/**
+ * Invite a user - creates the account and emails a link to set a password
+ * POST /api/users/invite
+ */
+const inviteUser = catchAsync(async (req, res) => {
+  const { name, email, role, brandIds = [] } = req.body;
+  
+  const existingUser = await User.findOne({ email });
+  if (existingUser) {
+    return ApiResponse.conflict(res, 'Email already registered');
+  }
+  
+  const missing = await findMissingBrands(brandIds);
+  if (missing.length > 0) {
+    return ApiResponse.notFound(res, `Brand not found: ${missing.join(', ')}`);
+  }
+  
+  // Unusable random password until the invite is accepted
+  const user = new User({
+    name,
+    email,
+    role,
+    brandAccess: [...new Set(brandIds)],
+    password: crypto.randomBytes(32).toString('hex'),
+    invitedBy: req.user._id,
+  });
+  const token = user.createPasswordResetToken(INVITE_EXPIRES_MS);
+  await user.save();
+  
+  try {
+    await mailService.sendInviteEmail(user, token, req.user);
+  } catch (error) {
+    console.error('Invite email error:', error);
+    await User.findByIdAndDelete(user._id);
+    return ApiResponse.error(res, 'Could not send invite email. Please try again later.');
+  }
+  
+  return ApiResponse.created(res, 'User invited successfully', formatUser(user));
+});
+
+/**
+ * Change a user's role
+ * PATCH /api/users/:id/role
+ */
+const updateRole = catchAsync(async (req, res) => {
+  if (req.params.id === req.user._id.toString()) {
+    return ApiResponse.badRequest(res, 'You cannot change your own role');
+  }
+  
+  const user = await User.findByIdAndUpdate(
+    req.params.id,
+    { role: req.body.role },
+    { new: true, runValidators: true }
+  );
+  
+  if (!user) {
+    return ApiResponse.notFound(res, 'User not found');
+  }
+  
+  return ApiResponse.success(res, 'User role updated successfully', formatUser(user));
+});
+
+/**
+ * Deactivate a user - revokes sessions and disconnects live sockets
+ * PATCH /api/users/:id/deactivate
+ */
+const deactivateUser = catchAsync(async (req, res) => {
+  if (req.params.id === req.user._id.toString()) {
+    return ApiResponse.badRequest(res, 'You cannot deactivate your own account');
+  }
+  
+  const user = await User.findByIdAndUpdate(
+    req.params.id,
+    { isActive: false, deactivatedAt: new Date() },
+    { new: true }
+  );
+  
+  if (!user) {
+    return ApiResponse.notFound(res, 'User not found');
+  }
+  
+  await tokenService.revokeAllForUser(user._id);
+  
+  const io = req.app.get('io');
+  if (io) {
+    io.in(`user-${user._id}`).disconnectSockets(true);
+  }
+  
+  return ApiResponse.success(res, 'User deactivated successfully', formatUser(user));
+});
+
+/**
+ * Reactivate a user
+ * PATCH /api/users/:id/activate
+ */
+const activateUser = catchAsync(async (req, res) => {
+  const user = await User.findByIdAndUpdate(
+    req.params.id,
+    { isActive: true, $unset: { deactivatedAt: 1 } },
+    { new: true }
+  );
+  
+  if (!user) {
+    return ApiResponse.notFound(res, 'User not found');
+  }
+  
+  return ApiResponse.success(res, 'User activated successfully', formatUser(user));
+});
+
+/**
+ * Get brands a user can access
+ * GET /api/users/:id/brands
+ */
+const getBrandAccess = catchAsync(async (req, res) => {
+  const user = await User.findById(req.params.id).populate('brandAccess', 'name status');
+  
+  if (!user) {
+    return ApiResponse.notFound(res, 'User not found');
+  }
+  
+  return ApiResponse.success(res, 'Brand access retrieved successfully', formatBrandAccess(user));
+});
+
+/**
+ * Grant access to one or more brands
+ * POST /api/users/:id/brands
+ * Body: { brandIds: ["..."] }
+ */
+const grantBrandAccess = catchAsync(async (req, res) => {
+  const { brandIds } = req.body;
+  
+  const missing = await findMissingBrands(brandIds);
+  if (missing.length > 0) {
+    return ApiResponse.notFound(res, `Brand not found: ${missing.join(', ')}`);
+  }
+  
+  const user = await User.findByIdAndUpdate(
+    req.params.id,
+    { $addToSet: { brandAccess: { $each: brandIds } } },
+    { new: true }
+  ).populate('brandAccess', 'name status');
+  
+  if (!user) {
+    return ApiResponse.notFound(res, 'User not found');
+  }
+  
+  return ApiResponse.success(res, 'Brand access granted successfully', formatBrandAccess(user));
+});
+
+/**
+ * Replace a user's brand access
+ * PUT /api/users/:id/brands
+ * Body: { brandIds: ["..."] }
+ */
+const setBrandAccess = catchAsync(async (req, res) => {
+  const { brandIds } = req.body;
+  
+  const missing = await findMissingBrands(brandIds);
+  if (missing.length > 0) {
+    return ApiResponse.notFound(res, `Brand not found: ${missing.join(', ')}`);
+  }
+  
+  const user = await User.findByIdAndUpdate(
+    req.params.id,
+    { $set: { brandAccess: [...new Set(brandIds)] } },
+    { new: true }
+  ).populate('brandAccess', 'name status');
+  
+  if (!user) {
+    return ApiResponse.notFound(res, 'User not found');
+  }
+  
+  return ApiResponse.success(res, 'Brand access updated successfully', formatBrandAccess(user));
+});
+
+/**
+ * Revoke access to a brand
+ * DELETE /api/users/:id/brands/:brandId
+ */
+const revokeBrandAccess = catchAsync(async (req, res) => {
+  const user = await User.findByIdAndUpdate(
+    req.params.id,
+    { $pull: { brandAccess: req.params.brandId } },
+    { new: true }
+  ).populate('brandAccess', 'name status');
+  
+  if (!user) {
+    return ApiResponse.notFound(res, 'User not found');
+  }
+  
+  return ApiResponse.success(res, 'Brand access revoked successfully', formatBrandAccess(user));
+});
+
+module.exports = {
+  getUsers,
+  getUser,
+  inviteUser,
+  updateRole,
+  deactivateUser,
+  activateUser,
+  getBrandAccess,
+  grantBrandAccess,
+  setBrandAccess,
+  revokeBrandAccess,
+};
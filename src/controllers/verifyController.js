@@ -1,66 +1,81 @@
-const AuthCode = require('../models/AuthCode');
+const verificationService = require('../services/verificationService');
+const signingService = require('../services/signingService');
+const { extractClientData } = require('../utils/clientData');
+
+/**
+ * Shape a verification result into the public response schema
+ * shared by every verify endpoint
+ */
+const formatResult = (result) => ({
+  authenticated: result.isAuthentic,
+  status: result.status,
+  source: result.source,
+  message: result.message,
+  brand: result.brand,
+  product: result.product,
+  scanInfo: result.scanInfo,
+  warnings: result.warnings,
+  signature: result.signature,
+});
 
 /**
  * Verify a code - PUBLIC ENDPOINT
  * GET /api/verify/:code
- * 
+ *
+ * Resolves both AuthCode codes and Product auth tokens.
+ *
  * Response:
  * - authenticated: true/false
- * - brand: { name, logo, ... } if authenticated
+ * - status: genuine | already_verified | suspicious | revoked | expired | not_found | mistyped | invalid_signature
+ * - source: code | product | null (not found)
+ *
+ * Codes of brands with a code scheme are also found when typed without
+ * separators, in lower case or with look-alike characters (O for 0, ...).
+ * Input that fits a scheme but fails its check digit is answered with
+ * `mistyped` ("did you mistype?") instead of a counterfeit warning.
+ * - brand: { name, logo, ... } if found
+ * - product: { name, sku, batchNumber, ... } if linked to a product
+ *
+ * Signed codes (QR payloads of brands with a signing key) also carry
+ * `kid` and `sig` (query string, or body for POST). The signature is
+ * checked before the code is looked up: a forgery is answered with
+ * `invalid_signature` without touching the codes or the scan log, a valid
+ * one adds `signature: "valid"` to the response. A signature by another
+ * brand's key is answered with `invalid_signature` too, and so is a missing
+ * one for brands with settings.requireSignature.
  */
 exports.verify = async (req, res) => {
   try {
     const { code } = req.params;
 
-    if (!code) {
+    if (typeof code !== 'string' || !code.trim()) {
       return res.status(400).json({
         authenticated: false,
         message: 'Code is required',
       });
     }
 
-    // Find the code and populate brand info
-    const authCode = await AuthCode.findOne({ 
-      code: code.trim(),
-      status: 'active' 
-    }).populate('brand', 'name logo description website contactEmail contactPhone status');
-
-    // Code not found
-    if (!authCode) {
-      return res.json({
-        authenticated: false,
-        message: 'This code is not valid. Product may be counterfeit.',
-      });
+    const { kid, sig } = req.method === 'POST' ? req.body : req.query;
+    let signedBrand = null;
+    if (kid && sig) {
+      signedBrand = await signingService.verifySignature(code.trim(), kid, sig);
+      if (!signedBrand) {
+        return res.json(formatResult({
+          status: verificationService.VerificationStatus.INVALID_SIGNATURE,
+          message: 'This code\'s signature is not valid. The product may be counterfeit.',
+          isAuthentic: false,
+          source: null,
+          signature: 'invalid',
+        }));
+      }
     }
 
-    // Brand is inactive
-    if (!authCode.brand || authCode.brand.status !== 'active') {
-      return res.json({
-        authenticated: false,
-        message: 'This code is not valid. Product may be counterfeit.',
-      });
-    }
-
-    // Update verification count
-    await AuthCode.findByIdAndUpdate(authCode._id, {
-      $inc: { verifyCount: 1 },
-      $set: { firstVerifiedAt: authCode.firstVerifiedAt || new Date() },
-    });
+    const result = await verificationService.verifyCode(code.trim(), extractClientData(req), { signedBrand });
+    if (signedBrand && !result.signature) result.signature = 'valid';
 
-    // SUCCESS - Code is authentic
-    res.json({
-      authenticated: true,
-      message: 'Product is genuine',
-      brand: {
-        name: authCode.brand.name,
-        logo: authCode.brand.logo,
-        description: authCode.brand.description,
-        website: authCode.brand.website,
-        contactEmail: authCode.brand.contactEmail,
-        contactPhone: authCode.brand.contactPhone,
-      },
-    });
+    res.json(formatResult(result));
   } catch (error) {
+    console.error('Verification error:', error);
     res.status(500).json({
       authenticated: false,
       message: 'Verification failed. Please try again.',
@@ -77,3 +92,36 @@ exports.verifyPost = async (req, res) => {
   req.params.code = req.body.code;
   return exports.verify(req, res);
 };
+
+/**
+ * Verify a product by its auth token - PUBLIC ENDPOINT
+ * GET  /api/verify/product/:authToken
+ * POST /api/verify/product/:authToken  (body may include { location })
+ *
+ * Response: same schema as GET /api/verify/:code
+ */
+exports.verifyProduct = async (req, res) => {
+  try {
+    const { authToken } = req.params;
+
+    if (typeof authToken !== 'string' || !authToken.trim()) {
+      return res.status(400).json({
+        authenticated: false,
+        message: 'Auth token is required',
+      });
+    }
+
+    const result = await verificationService.verifyProduct(
+      authToken.trim(),
+      extractClientData(req)
+    );
+
+    res.json(formatResult(result));
+  } catch (error) {
+    console.error('Product verification error:', error);
+    res.status(500).json({
+      authenticated: false,
+      message: 'Verification failed. Please try again.',
+    });
+  }
+};
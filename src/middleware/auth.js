@@ -1,9 +1,123 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const config = require('../config');
 const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const RevokedToken = require('../models/RevokedToken');
+
+// Skip bcrypt for keys verified recently (keyed by sha256 of the presented key).
+// The stored hash is re-checked on every request, so rotation or revocation
+// takes effect immediately.
+const verifiedKeyCache = new Map();
+const VERIFIED_KEY_CACHE_MAX = 1000;
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Read an API key from the X-API-Key header or an "ApiKey <key>" authorization header
+ */
+const getApiKeyFromRequest = (req) => {
+  if (req.headers['x-api-key']) {
+    return req.headers['x-api-key'];
+  }
+  if (req.headers.authorization?.startsWith('ApiKey ')) {
+    return req.headers.authorization.split(' ')[1];
+  }
+  return null;
+};
+
+/**
+ * Resolve a presented API key to a usable ApiKey document and its creator
+ * Keys act on behalf of their creator, so they stop working once the creator
+ * is deactivated or loses access to the key's brand.
+ * @returns {Promise<{ apiKey: Object, creator: Object }|null>}
+ */
+const authenticateApiKey = async (presentedKey) => {
+  const prefix = ApiKey.parsePrefix(presentedKey);
+  if (!prefix) return null;
+
+  const apiKey = await ApiKey.findOne({ prefix }).select('+keyHash');
+  if (!apiKey || !apiKey.isUsable()) return null;
+
+  const fingerprint = crypto.createHash('sha256').update(presentedKey).digest('hex');
+  if (verifiedKeyCache.get(fingerprint) !== apiKey.keyHash) {
+    const isValid = await apiKey.compareKey(presentedKey);
+    if (!isValid) return null;
+
+    if (verifiedKeyCache.size >= VERIFIED_KEY_CACHE_MAX) {
+      verifiedKeyCache.delete(verifiedKeyCache.keys().next().value);
+    }
+    verifiedKeyCache.set(fingerprint, apiKey.keyHash);
+  }
+
+  const creator = await User.findById(apiKey.createdBy).select('role brandAccess isActive').lean();
+  if (!creator || !creator.isActive || !hasBrandAccess(creator, apiKey.brand)) {
+    return null;
+  }
+
+  // Track usage without slowing down every request
+  const now = new Date();
+  if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_UPDATE_INTERVAL_MS) {
+    ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: now }).catch((error) => {
+      console.error('API key usage update error:', error);
+    });
+  }
+
+  return { apiKey, creator };
+};
+
+/**
+ * Build the request principal for an API key
+ * API keys act on behalf of their creator, scoped to a single brand; role
+ * restricted routes check the creator's current role (see restrictTo).
+ */
+const apiKeyPrincipal = (apiKey, creator) => ({
+  _id: apiKey.createdBy,
+  name: `API key: ${apiKey.name}`,
+  role: 'api_key',
+  creatorRole: creator.role,
+  brandAccess: [apiKey.brand],
+  isActive: true,
+});
+
+/**
+ * Verify an access token and load its user
+ * Shared by the HTTP protect middleware and the Socket.io handshake.
+ * @returns {Promise<{ user: Object, decoded: Object }|null>} null if revoked or user inactive
+ */
+const authenticateToken = async (token) => {
+  const decoded = jwt.verify(token, config.jwtSecret);
+
+  if (await RevokedToken.isRevoked(decoded.jti)) {
+    return null;
+  }
+
+  const user = await User.findById(decoded.id);
+  if (!user || !user.isActive || user.changedPasswordAfter(decoded.iat)) {
+    return null;
+  }
+
+  return { user, decoded };
+};
 
 const protect = async (req, res, next) => {
   try {
+    const presentedKey = getApiKeyFromRequest(req);
+
+    if (presentedKey) {
+      const auth = await authenticateApiKey(presentedKey);
+
+      if (!auth) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or revoked API key.',
+        });
+      }
+
+      req.apiKey = auth.apiKey;
+      req.user = apiKeyPrincipal(auth.apiKey, auth.creator);
+      return next();
+    }
+
     let token;
 
     if (req.headers.authorization?.startsWith('Bearer')) {
@@ -17,17 +131,17 @@ const protect = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, config.jwtSecret);
-    const user = await User.findById(decoded.id);
+    const auth = await authenticateToken(token);
 
-    if (!user || !user.isActive) {
+    if (!auth) {
       return res.status(401).json({
         success: false,
-        message: 'User not found or inactive.',
+        message: 'User not found, inactive, or token revoked.',
       });
     }
 
-    req.user = user;
+    req.user = auth.user;
+    req.tokenPayload = auth.decoded;
     next();
   } catch (error) {
     return res.status(401).json({
@@ -37,6 +151,53 @@ const protect = async (req, res, next) => {
   }
 };
 
+/**
+ * Attach an API key when one is presented, without requiring authentication
+ * Used on public endpoints where a key unlocks extra behaviour.
+ */
+const optionalApiKey = (...scopes) => {
+  return async (req, res, next) => {
+    const presentedKey = getApiKeyFromRequest(req);
+    if (!presentedKey) return next();
+
+    try {
+      const auth = await authenticateApiKey(presentedKey);
+
+      if (!auth || !auth.apiKey.hasScope(...scopes)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or revoked API key.',
+        });
+      }
+
+      req.apiKey = auth.apiKey;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+/**
+ * Require one of the given scopes for API key requests
+ * JWT users pass through; their access is governed by restrictTo and brand access.
+ */
+const requireScope = (...scopes) => {
+  return (req, res, next) => {
+    if (!req.apiKey) return next();
+
+    if (!req.apiKey.hasScope(...scopes)) {
+      return res.status(403).json({
+        success: false,
+        message: `API key is missing required scope: ${scopes.join(' or ')}`,
+      });
+    }
+
+    req.apiKeyScopeChecked = true;
+    next();
+  };
+};
+
 const restrictTo = (...roles) => {
   return (req, res, next) => {
     if (!req.user) {
@@ -46,6 +207,24 @@ const restrictTo = (...roles) => {
       });
     }
 
+    // API keys only reach role-restricted routes through an explicit scope
+    // check, and only while their creator still holds one of the roles
+    if (req.apiKey) {
+      if (!req.apiKeyScopeChecked) {
+        return res.status(403).json({
+          success: false,
+          message: 'API keys cannot access this endpoint',
+        });
+      }
+      if (!roles.includes(req.user.creatorRole)) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied. The API key's creator needs role: ${roles.join(', ')}`,
+        });
+      }
+      return next();
+    }
+
     if (!roles.includes(req.user.role)) {
       return res.status(403).json({
         success: false,
@@ -57,6 +236,28 @@ const restrictTo = (...roles) => {
   };
 };
 
+/**
+ * Check whether a user may access a given brand
+ */
+const hasBrandAccess = (user, brandId) => {
+  if (!user || !brandId) return false;
+
+  // Admin has access to all brands
+  if (user.role === 'admin') return true;
+
+  return (user.brandAccess || []).some((id) => id.toString() === brandId.toString());
+};
+
+/**
+ * Build a query filter limiting results to the user's brands
+ * @param {Object} user - Authenticated user
+ * @param {string} field - Brand field name on the queried model
+ */
+const brandScope = (user, field = 'brand') => {
+  if (user.role === 'admin') return {};
+  return { [field]: { $in: user.brandAccess || [] } };
+};
+
 const checkBrandAccess = (req, res, next) => {
   if (!req.user) {
     return res.status(401).json({
@@ -70,32 +271,41 @@ const checkBrandAccess = (req, res, next) => {
     return next();
   }
 
-  // Brand managers can only access their assigned brands
-  if (req.user.role === 'brand_manager') {
-    const brandId = req.body.brand || req.params.brand || req.query.brand;
-    
-    if (!brandId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Brand ID is required',
-      });
-    }
+  // Everyone else can only access their assigned brands
+  const brandId = req.body.brand || req.body.brandId ||
+    req.params.brand || req.query.brand || req.query.brandId;
 
-    if (!req.user.brandAccess || !req.user.brandAccess.includes(brandId)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied to this brand',
-      });
-    }
+  if (!brandId) {
+    return res.status(400).json({
+      success: false,
+      message: 'Brand ID is required',
+    });
+  }
+
+  if (!hasBrandAccess(req.user, brandId)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied to this brand',
+    });
   }
 
   next();
 };
 
 const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, config.jwtSecret, {
+  return jwt.sign({ id: userId, jti: crypto.randomUUID() }, config.jwtSecret, {
     expiresIn: config.jwtExpiresIn,
   });
 };
 
-module.exports = { protect, restrictTo, checkBrandAccess, generateToken };
+module.exports = {
+  authenticateToken,
+  protect,
+  optionalApiKey,
+  requireScope,
+  restrictTo,
+  checkBrandAccess,
+  hasBrandAccess,
+  brandScope,
+  generateToken,
+};
@@ -34,14 +34,36 @@ const verifyLimiter = rateLimit({
   legacyHeaders: false,
   keyGenerator: (req, res) => {
     // Properly handle IPv6 addresses using the helper function
-    const ip = ipKeyGenerator(req, res);
+    const ip = ipKeyGenerator(req.ip);
     return `${ip}-${req.headers['user-agent'] || 'unknown'}`;
   },
+  // Integrations authenticated with a "verify" API key are not throttled per IP
+  skip: (req) => Boolean(req.apiKey),
   handler: (req, res) => {
     return ApiResponse.tooManyRequests(res, 'Too many verification requests. Please try again later.');
   },
 });
 
+/**
+ * Limiter for rejected API keys on public endpoints
+ * Runs before optionalApiKey, whose bcrypt compare would otherwise be free
+ * to call for anyone. Only requests presenting a key that gets refused (401)
+ * count, so valid integrations are not throttled.
+ */
+const apiKeyLimiter = rateLimit({
+  windowMs: config.verifyRateLimitWindowMs,
+  max: config.verifyRateLimitMax,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req, res) => ipKeyGenerator(req.ip),
+  skip: (req) => !req.headers['x-api-key'] && !req.headers.authorization?.startsWith('ApiKey '),
+  requestWasSuccessful: (req, res) => res.statusCode !== 401,
+  skipSuccessfulRequests: true,
+  handler: (req, res) => {
+    return ApiResponse.tooManyRequests(res, 'Too many invalid API key attempts. Please try again later.');
+  },
+});
+
 /**
  * Auth rate limiter (stricter for login/register)
  */
@@ -79,6 +101,7 @@ const uploadLimiter = rateLimit({
 module.exports = {
   apiLimiter,
   verifyLimiter,
+  apiKeyLimiter,
   authLimiter,
   uploadLimiter,
 };
@@ -1,3 +1,4 @@
+const fs = require('fs');
 const { validationResult } = require('express-validator');
 const ApiResponse = require('../utils/apiResponse');
 
@@ -14,6 +15,11 @@ const validate = (req, res, next) => {
       value: err.value,
     }));
     
+    // Discard a file multer already stored for this request
+    if (req.file?.path) {
+      fs.unlink(req.file.path, () => {});
+    }
+    
     return ApiResponse.badRequest(res, 'Validation failed', formattedErrors);
   }
   
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+const API_KEY_SCOPES = [
+  'codes:read',
+  'codes:write',
+  'products:read',
+  'products:write',
+  'analytics:read',
+  'verify',
+];
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Key name is required'],
+      trim: true,
+      maxlength: [100, 'Key name cannot exceed 100 characters'],
+    },
+    brand: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Brand',
+      required: [true, 'Brand is required'],
+      index: true,
+    },
+    // Public part of the key, used to look it up (e.g. "ak_1a2b3c4d5e6f")
+    prefix: {
+      type: String,
+      required: true,
+      unique: true,
+      index: true,
+    },
+    // Full key, hashed like User.password
+    keyHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    scopes: {
+      type: [{ type: String, enum: API_KEY_SCOPES }],
+      validate: {
+        validator: (scopes) => scopes.length > 0,
+        message: 'At least one scope is required',
+      },
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    expiresAt: {
+      type: Date,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+    lastRotatedAt: {
+      type: Date,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+apiKeySchema.index({ brand: 1, isActive: 1 });
+
+apiKeySchema.pre('save', async function (next) {
+  if (!this.isModified('keyHash')) return next();
+  this.keyHash = await bcrypt.hash(this.keyHash, 10);
+  next();
+});
+
+// Static method to generate a new plain-text key ("<prefix>.<secret>")
+apiKeySchema.statics.generateKey = function () {
+  const prefix = `ak_${crypto.randomBytes(6).toString('hex')}`;
+  const secret = crypto.randomBytes(24).toString('base64url');
+  return { prefix, key: `${prefix}.${secret}` };
+};
+
+// Static method to split a presented key into its prefix
+apiKeySchema.statics.parsePrefix = function (key) {
+  if (typeof key !== 'string') return null;
+  const [prefix, secret] = key.split('.');
+  if (!prefix || !secret || !prefix.startsWith('ak_')) return null;
+  return prefix;
+};
+
+apiKeySchema.methods.compareKey = async function (candidateKey) {
+  return await bcrypt.compare(candidateKey, this.keyHash);
+};
+
+apiKeySchema.methods.isUsable = function () {
+  if (!this.isActive || this.revokedAt) return false;
+  if (this.expiresAt && this.expiresAt < new Date()) return false;
+  return true;
+};
+
+apiKeySchema.methods.hasScope = function (...scopes) {
+  return scopes.some((scope) => this.scopes.includes(scope));
+};
+
+// Transform output (never expose the hash)
+apiKeySchema.methods.toJSON = function () {
+  const apiKey = this.toObject();
+  delete apiKey.keyHash;
+  delete apiKey.__v;
+  return apiKey;
+};
+
+apiKeySchema.statics.SCOPES = API_KEY_SCOPES;
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
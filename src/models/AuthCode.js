@@ -19,6 +19,26 @@ const authCodeSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Product',
     },
+    // Per-code details from the upload's mapped columns
+    sku: {
+      type: String,
+      trim: true,
+    },
+    batchNumber: {
+      type: String,
+      trim: true,
+    },
+    serialNumber: {
+      type: String,
+      trim: true,
+    },
+    expiryDate: {
+      type: Date,
+    },
+    metadata: {
+      type: Map,
+      of: String,
+    },
     status: {
       type: String,
       enum: ['active', 'inactive'],
@@ -28,10 +48,18 @@ const authCodeSchema = new mongoose.Schema(
     firstVerifiedAt: {
       type: Date,
     },
+    lastVerifiedAt: {
+      type: Date,
+    },
     verifyCount: {
       type: Number,
       default: 0,
     },
+    // Bulk upload job that created the code (BulkUploadJob.jobId)
+    importBatch: {
+      type: String,
+      index: true,
+    },
     qrCodeUrl: {
       type: String,
       sparse: true,
@@ -43,5 +71,41 @@ const authCodeSchema = new mongoose.Schema(
 // Compound index for faster lookups
 authCodeSchema.index({ code: 1, status: 1 });
 authCodeSchema.index({ brand: 1, status: 1 });
+authCodeSchema.index({ brand: 1, batchNumber: 1 });
+// QR jobs walk a brand's codes in _id order
+authCodeSchema.index({ brand: 1, _id: 1 });
+
+// Instance method to record a verification scan
+// Uses an atomic increment so two concurrent first scans cannot both be "first"
+// Returns whether this was the first scan, or null if the code was deleted meanwhile
+authCodeSchema.methods.recordScan = async function () {
+  const now = new Date();
+
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    {
+      $inc: { verifyCount: 1 },
+      $set: { lastVerifiedAt: now },
+    },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  const isFirstScan = updated.verifyCount === 1;
+
+  if (!updated.firstVerifiedAt) {
+    updated.firstVerifiedAt = now;
+    await this.constructor.updateOne(
+      { _id: this._id, firstVerifiedAt: { $exists: false } },
+      { $set: { firstVerifiedAt: now } }
+    );
+  }
+
+  this.verifyCount = updated.verifyCount;
+  this.lastVerifiedAt = updated.lastVerifiedAt;
+  this.firstVerifiedAt = updated.firstVerifiedAt;
+
+  return isFirstScan;
+};
 
 module.exports = mongoose.model('AuthCode', authCodeSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const columnMappingSchema = require('./columnMappingSchema');
+const codeSchemeSchema = require('./codeSchemeSchema');
 
 const brandSchema = new mongoose.Schema(
   {
@@ -33,6 +35,71 @@ const brandSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // Verification behaviour shown to consumers
+    settings: {
+      genuineMessage: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Genuine message cannot exceed 500 characters'],
+      },
+      alreadyVerifiedMessage: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Already verified message cannot exceed 500 characters'],
+      },
+      notFoundMessage: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Not found message cannot exceed 500 characters'],
+      },
+      // Mark repeat scans as not authentic after a threshold
+      enableScanLimit: {
+        type: Boolean,
+        default: false,
+      },
+      maxScansBeforeWarning: {
+        type: Number,
+        default: 5,
+        min: [1, 'Max scans before warning must be at least 1'],
+      },
+      // Reject unsigned verifications of codes created once the brand had a
+      // signing key (typed codes then no longer verify)
+      requireSignature: {
+        type: Boolean,
+        default: false,
+      },
+    },
+    // Saved column mappings for codes uploads; the default one applies when
+    // an upload names neither a profile nor a mapping
+    importProfiles: [
+      {
+        name: {
+          type: String,
+          required: true,
+          trim: true,
+          maxlength: [50, 'Profile name cannot exceed 50 characters'],
+        },
+        mapping: {
+          type: columnMappingSchema,
+          required: true,
+        },
+        isDefault: {
+          type: Boolean,
+          default: false,
+        },
+      },
+    ],
+    // Default format of codes generated for the brand (POST /api/codes/generate)
+    codeScheme: {
+      type: codeSchemeSchema,
+    },
+    // Counters maintained by product and verification flows
+    stats: {
+      totalProducts: { type: Number, default: 0 },
+      totalScans: { type: Number, default: 0 },
+      genuineScans: { type: Number, default: 0 },
+      suspiciousScans: { type: Number, default: 0 },
+    },
   },
   { timestamps: true }
 );
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+/**
+ * Rejected row of a bulk upload
+ * Kept outside BulkUploadJob (whose `errors` only holds the first few) so the
+ * complete list can be downloaded as a report.
+ */
+const bulkUploadErrorSchema = new mongoose.Schema(
+  {
+    jobId: {
+      type: String,
+      required: true,
+    },
+    row: {
+      type: Number,
+      required: true,
+    },
+    // File inside a zip upload
+    file: {
+      type: String,
+    },
+    // Excel worksheet
+    sheet: {
+      type: String,
+    },
+    // Checkpoint batch the row was read in; entries of uncommitted
+    // batches are dropped when the job resumes
+    batch: {
+      type: Number,
+    },
+    // Raw value of the code column as found in the file
+    value: {
+      type: String,
+    },
+    reason: {
+      type: String,
+      enum: ['invalid', 'duplicate_in_file', 'duplicate_in_db', 'other_brand', 'qr_failed'],
+      required: true,
+    },
+    error: {
+      type: String,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+bulkUploadErrorSchema.index({ jobId: 1, batch: 1, row: 1 });
+
+module.exports = mongoose.model('BulkUploadError', bulkUploadErrorSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    // SHA-256 of the opaque token handed to the client
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      index: true,
+    },
+    // All tokens produced by rotating the same login share a family,
+    // so reuse of a rotated token can revoke the whole chain
+    family: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    replacedBy: {
+      type: String, // tokenHash of the successor
+    },
+    createdByIp: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+  },
+  { timestamps: true }
+);
+
+// Expired tokens are removed automatically
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+refreshTokenSchema.methods.isUsable = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
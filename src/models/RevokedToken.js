@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+/**
+ * Server-side revocation list for access tokens (by JWT id)
+ * Entries only need to live until the token would have expired anyway.
+ */
+const revokedTokenSchema = new mongoose.Schema(
+  {
+    jti: {
+      type: String,
+      required: true,
+      unique: true,
+      index: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reason: {
+      type: String,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to check whether an access token has been revoked
+revokedTokenSchema.statics.isRevoked = async function (jti) {
+  if (!jti) return false;
+  return Boolean(await this.exists({ jti }));
+};
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
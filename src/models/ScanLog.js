@@ -7,11 +7,22 @@ const scanLogSchema = new mongoose.Schema(
       ref: 'Product',
       index: true,
     },
+    authCode: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AuthCode',
+      index: true,
+    },
     brand: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Brand',
       index: true,
     },
+    // Which store the scanned value was resolved from
+    source: {
+      type: String,
+      enum: ['code', 'product'],
+    },
+    // Scanned value (Product.authToken or AuthCode.code)
     authToken: {
       type: String,
       required: true,
@@ -50,7 +61,7 @@ const scanLogSchema = new mongoose.Schema(
     },
     // Device info (if available)
     device: {
-      type: String,
+      type: { type: String }, // mobile, tablet, desktop, bot
       browser: String,
       os: String,
       isMobile: Boolean,
@@ -138,9 +149,65 @@ scanLogSchema.statics.checkSuspiciousActivity = async function (authToken, curre
   return flags;
 };
 
+// Date bucket formats for analytics time series
+const GRANULARITY_FORMATS = {
+  hour: '%Y-%m-%dT%H:00',
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m',
+};
+
+/**
+ * Stages keeping the scans of a product, batch or SKU
+ * Scans are joined to their code and product rather than matched against
+ * id lists, which get too large for big batches. A scan counts when either
+ * its code or its product matches (codes carry their own batch and SKU).
+ */
+const scanFilterStages = ({ product, batchNumber, sku }) => {
+  if (!product && !batchNumber && !sku) return [];
+
+  const codeMatch = {};
+  const productMatch = {};
+  if (product) {
+    codeMatch['scannedCode.product'] = new mongoose.Types.ObjectId(product.toString());
+    productMatch['scannedProduct._id'] = codeMatch['scannedCode.product'];
+  }
+  if (batchNumber) {
+    codeMatch['scannedCode.batchNumber'] = batchNumber;
+    productMatch['scannedProduct.batchNumber'] = batchNumber;
+  }
+  if (sku) {
+    codeMatch['scannedCode.sku'] = sku;
+    productMatch['scannedProduct.sku'] = sku;
+  }
+
+  return [
+    {
+      $lookup: {
+        from: mongoose.model('AuthCode').collection.name,
+        localField: 'authCode',
+        foreignField: '_id',
+        as: 'scannedCode',
+      },
+    },
+    {
+      $lookup: {
+        from: mongoose.model('Product').collection.name,
+        localField: 'product',
+        foreignField: '_id',
+        as: 'scannedProduct',
+      },
+    },
+    { $match: { $or: [codeMatch, productMatch] } },
+    { $project: { scannedCode: 0, scannedProduct: 0 } },
+  ];
+};
+
 // Static method to get analytics summary
-scanLogSchema.statics.getAnalytics = async function (brandId, startDate, endDate) {
-  const match = { brand: brandId };
+// options: { startDate, endDate, granularity, product, batchNumber, sku, result }
+scanLogSchema.statics.getAnalytics = async function (brandId, options = {}) {
+  const { startDate, endDate, granularity = 'day', result } = options;
+  const match = { brand: new mongoose.Types.ObjectId(brandId.toString()) };
   
   if (startDate || endDate) {
     match.createdAt = {};
@@ -148,10 +215,18 @@ scanLogSchema.statics.getAnalytics = async function (brandId, startDate, endDate
     if (endDate) match.createdAt.$lte = new Date(endDate);
   }
   
-  const [summary, byResult, byCountry, byDay] = await Promise.all([
+  if (result) {
+    match.result = Array.isArray(result) ? { $in: result } : result;
+  }
+  
+  const filterStages = scanFilterStages(options);
+  const dateFormat = GRANULARITY_FORMATS[granularity] || GRANULARITY_FORMATS.day;
+  
+  const [summary, byResult, byCountry, timeline] = await Promise.all([
     // Overall summary
     this.aggregate([
       { $match: match },
+      ...filterStages,
       {
         $group: {
           _id: null,
@@ -165,11 +240,21 @@ scanLogSchema.statics.getAnalytics = async function (brandId, startDate, endDate
           },
         },
       },
+      {
+        $project: {
+          _id: 0,
+          totalScans: 1,
+          uniqueProducts: { $size: '$uniqueProducts' },
+          genuineScans: 1,
+          suspiciousScans: 1,
+        },
+      },
     ]),
     
     // By result type
     this.aggregate([
       { $match: match },
+      ...filterStages,
       { $group: { _id: '$result', count: { $sum: 1 } } },
       { $sort: { count: -1 } },
     ]),
@@ -177,30 +262,37 @@ scanLogSchema.statics.getAnalytics = async function (brandId, startDate, endDate
     // By country
     this.aggregate([
       { $match: { ...match, 'location.country': { $exists: true } } },
+      ...filterStages,
       { $group: { _id: '$location.country', count: { $sum: 1 } } },
       { $sort: { count: -1 } },
       { $limit: 10 },
     ]),
     
-    // By day (last 30 days)
+    // Time series by granularity
     this.aggregate([
       { $match: match },
+      ...filterStages,
       {
         $group: {
-          _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+          _id: { $dateToString: { format: dateFormat, date: '$createdAt' } },
           count: { $sum: 1 },
+          genuine: {
+            $sum: { $cond: [{ $eq: ['$result', 'genuine'] }, 1, 0] },
+          },
+          suspicious: {
+            $sum: { $cond: [{ $in: ['$result', ['suspicious', 'not_found']] }, 1, 0] },
+          },
         },
       },
-      { $sort: { _id: -1 } },
-      { $limit: 30 },
+      { $sort: { _id: 1 } },
     ]),
   ]);
   
   return {
-    summary: summary[0] || { totalScans: 0, genuineScans: 0, suspiciousScans: 0 },
+    summary: summary[0] || { totalScans: 0, uniqueProducts: 0, genuineScans: 0, suspiciousScans: 0 },
     byResult,
     byCountry,
-    byDay,
+    timeline,
   };
 };
 
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const SIGNING_ALGORITHMS = ['ed25519', 'hmac-sha256'];
+
+/**
+ * Key a brand signs its codes with (see services/signingService)
+ * One key per brand is active; creating a new one retires it. Retired keys
+ * still verify the codes they signed, revoked keys no longer do.
+ */
+const signingKeySchema = new mongoose.Schema(
+  {
+    brand: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Brand',
+      required: [true, 'Brand is required'],
+      index: true,
+    },
+    // Public key id, sent with every signature (e.g. "sk_1a2b3c4d5e6f")
+    kid: {
+      type: String,
+      required: true,
+      unique: true,
+      index: true,
+    },
+    algorithm: {
+      type: String,
+      enum: SIGNING_ALGORITHMS,
+      required: true,
+    },
+    // Ed25519 only: raw 32-byte public key, base64url
+    publicKey: {
+      type: String,
+    },
+    // Ed25519 private key (PKCS#8) or HMAC secret, encrypted with SIGNING_KEY_SECRET
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    status: {
+      type: String,
+      enum: ['active', 'retired', 'revoked'],
+      default: 'active',
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    retiredAt: {
+      type: Date,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+signingKeySchema.index({ brand: 1, status: 1 });
+
+// Static method to generate a new key id
+signingKeySchema.statics.generateKid = function () {
+  return `sk_${crypto.randomBytes(6).toString('hex')}`;
+};
+
+// Transform output (never expose the secret)
+signingKeySchema.methods.toJSON = function () {
+  const signingKey = this.toObject();
+  delete signingKey.secret;
+  delete signingKey.__v;
+  return signingKey;
+};
+
+signingKeySchema.statics.ALGORITHMS = SIGNING_ALGORITHMS;
+
+module.exports = mongoose.model('SigningKey', signingKeySchema);
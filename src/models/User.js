@@ -1,5 +1,11 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+// Roles renamed since; stored values are rewritten by migrateLegacyRoles
+const LEGACY_ROLES = {
+  manager: 'brand_manager',
+};
 
 const userSchema = new mongoose.Schema(
   {
@@ -20,22 +26,61 @@ const userSchema = new mongoose.Schema(
       required: true,
       select: false,
     },
+    // admin: all brands, brand_manager: manage assigned brands, viewer: read-only on assigned brands
     role: {
       type: String,
-      enum: ['admin', 'manager'],
-      default: 'manager',
+      enum: ['admin', 'brand_manager', 'viewer'],
+      default: 'brand_manager',
     },
+    // Brands a non-admin user may access
+    brandAccess: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Brand',
+      },
+    ],
     isActive: {
       type: Boolean,
       default: true,
     },
+    passwordChangedAt: {
+      type: Date,
+    },
+    // Password reset / invite token (SHA-256 of the token sent by email)
+    passwordResetToken: {
+      type: String,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    deactivatedAt: {
+      type: Date,
+    },
   },
   { timestamps: true }
 );
 
+// Users loaded before the migration ran get the current role name
+// (saved with it on their next save)
+userSchema.post('init', function () {
+  if (LEGACY_ROLES[this.role]) {
+    this.role = LEGACY_ROLES[this.role];
+  }
+});
+
 userSchema.pre('save', async function (next) {
   if (!this.isModified('password')) return next();
   this.password = await bcrypt.hash(this.password, 12);
+  if (!this.isNew) {
+    // 1s back so a token issued right after the change stays valid
+    this.passwordChangedAt = new Date(Date.now() - 1000);
+  }
   next();
 });
 
@@ -43,4 +88,37 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Instance method to check whether a token was issued before the last password change
+userSchema.methods.changedPasswordAfter = function (tokenIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > tokenIssuedAt;
+};
+
+// Instance method to create a password reset token (returns the plain token)
+userSchema.methods.createPasswordResetToken = function (expiresInMs = 60 * 60 * 1000) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = crypto.createHash('sha256').update(token).digest('hex');
+  this.passwordResetExpires = new Date(Date.now() + expiresInMs);
+  return token;
+};
+
+// Static method to find a user by a valid (unexpired) reset token
+userSchema.statics.findByResetToken = function (token) {
+  const hashed = crypto.createHash('sha256').update(token).digest('hex');
+  return this.findOne({
+    passwordResetToken: hashed,
+    passwordResetExpires: { $gt: new Date() },
+  }).select('+passwordResetToken +passwordResetExpires');
+};
+
+// Static method to rewrite legacy role names (run at startup)
+userSchema.statics.migrateLegacyRoles = async function () {
+  let migrated = 0;
+  for (const [legacy, role] of Object.entries(LEGACY_ROLES)) {
+    const result = await this.updateMany({ role: legacy }, { $set: { role } });
+    migrated += result.modifiedCount;
+  }
+  return migrated;
+};
+
 module.exports = mongoose.model('User', userSchema);
@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const columnMappingSchema = require('./columnMappingSchema');
+const codeSchemeSchema = require('./codeSchemeSchema');
+
+// Job types that work without an uploaded file
+const FILELESS_TYPES = ['generate', 'qr'];
 
 const bulkUploadJobSchema = new mongoose.Schema(
   {
@@ -20,17 +25,62 @@ const bulkUploadJobSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    // What the job creates: auth codes from a file, products from a file,
+    // generated auth codes or the QR images of existing codes (no file)
+    type: {
+      type: String,
+      enum: ['codes', 'products', 'generate', 'qr'],
+      default: 'codes',
+    },
     filename: {
       type: String,
-      required: true,
+      required: function () { return !FILELESS_TYPES.includes(this.type); },
     },
     fileType: {
       type: String,
-      enum: ['csv', 'xlsx'],
-      required: true,
+      enum: ['csv', 'tsv', 'txt', 'xlsx', 'xls', 'zip'],
+      required: function () { return !FILELESS_TYPES.includes(this.type); },
+    },
+    // Generation jobs: how many codes, in which (resolved) format
+    generation: {
+      count: { type: Number },
+      scheme: { type: codeSchemeSchema },
+    },
+    // QR jobs: which of the brand's codes get a QR image
+    qr: {
+      importBatch: { type: String },
+      status: { type: String, enum: ['active', 'inactive'] },
+      onlyMissing: { type: Boolean }, // skip codes that already have one
     },
     s3Key: {
-      type: String, // Optional: for S3 storage
+      type: String, // Source file in S3 (BULK_UPLOAD_STORAGE=s3)
+    },
+    // Source file on the uploads volume shared with the worker
+    filePath: {
+      type: String,
+    },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+    },
+    // Mapping requested at upload time (or taken from the brand profile);
+    // replaced by the matched header names once the file has been read
+    columnMapping: {
+      type: columnMappingSchema,
+    },
+    mappingProfile: {
+      type: String, // Brand import profile the mapping came from
+    },
+    // Excel worksheets to import (of every workbook in a zip):
+    // none = first sheet, ['*'] = all sheets
+    sheets: {
+      type: [String],
+      default: undefined,
+    },
+    // Validate only: run every check, insert nothing
+    dryRun: {
+      type: Boolean,
+      default: false,
     },
     status: {
       type: String,
@@ -45,11 +95,39 @@ const bulkUploadJobSchema = new mongoose.Schema(
       failed: { type: Number, default: 0 },
       duplicates: { type: Number, default: 0 },
       percentage: { type: Number, default: 0 },
+      rowsPerSecond: { type: Number, default: 0 }, // current attempt
+      etaSeconds: { type: Number }, // unknown until the first batch
+      // Breakdown of failed / duplicates
+      invalid: { type: Number, default: 0 }, // empty or malformed code
+      duplicatesInFile: { type: Number, default: 0 },
+      duplicatesInDb: { type: Number, default: 0 }, // already exists for this brand
+      otherBrand: { type: Number, default: 0 }, // already exists for another brand
+    },
+    // Cancellation is cooperative: the worker checks the flag between batches
+    cancelRequested: { type: Boolean, default: false },
+    cancelRequestedAt: { type: Date },
+    rollbackOnCancel: { type: Boolean, default: false },
+    // Last committed source row; retries and resumes continue after it
+    checkpoint: {
+      file: String, // zip: path of the file inside the archive (earlier files are done)
+      sheet: String, // Excel: worksheet the row belongs to (earlier sheets are done)
+      row: { type: Number, default: 0 },
+      batch: { type: Number, default: 0 },
+      lastId: String, // QR jobs: codes are done up to this _id
+      updatedAt: Date,
     },
+    // Queue attempts (retries after transient failures)
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 1 },
+    lastError: { type: String },
+    // First rejected rows only; the full list is in BulkUploadError
     errors: [
       {
         row: Number,
+        file: String,
+        sheet: String,
         code: String,
+        reason: String,
         error: String,
       },
     ],
@@ -58,6 +136,11 @@ const bulkUploadJobSchema = new mongoose.Schema(
       endTime: Date,
       duration: Number, // milliseconds
       avgProcessingSpeed: Number, // codes per second
+      cancellation: {
+        kept: Number, // codes (products, QR images) left in place
+        removed: Number, // codes (products) rolled back
+        rolledBack: Boolean,
+      },
     },
     metadata: {
       batchSize: { type: Number, default: 1000 },
@@ -69,16 +152,35 @@ const bulkUploadJobSchema = new mongoose.Schema(
 
 // Indexes for queries
 bulkUploadJobSchema.index({ userId: 1, status: 1 });
+bulkUploadJobSchema.index({ userId: 1, type: 1, createdAt: -1 });
 bulkUploadJobSchema.index({ brandId: 1, status: 1 });
 bulkUploadJobSchema.index({ createdAt: -1 });
 
+// Instance method to start measuring throughput (once the total is known)
+// Rows processed by earlier attempts don't count towards the rate.
+bulkUploadJobSchema.methods.startProgressClock = function () {
+  this.$locals.progressClock = { at: Date.now(), processed: this.progress.processed };
+};
+
 // Instance method to update progress
 bulkUploadJobSchema.methods.updateProgress = async function (update) {
   Object.assign(this.progress, update);
   
   if (this.progress.total > 0) {
-    this.progress.percentage = Math.round(
+    // The CSV total is an estimate, so don't report more than 100%
+    this.progress.percentage = Math.min(100, Math.round(
       (this.progress.processed / this.progress.total) * 100
+    ));
+  }
+
+  const clock = this.$locals.progressClock;
+  const elapsed = clock ? (Date.now() - clock.at) / 1000 : 0;
+  const done = clock ? this.progress.processed - clock.processed : 0;
+  if (elapsed > 0 && done > 0) {
+    const rate = done / elapsed;
+    this.progress.rowsPerSecond = Math.round(rate);
+    this.progress.etaSeconds = Math.ceil(
+      Math.max(this.progress.total - this.progress.processed, 0) / rate
     );
   }
   
@@ -104,4 +206,6 @@ bulkUploadJobSchema.statics.cleanupOldJobs = async function (daysOld = 30) {
   });
 };
 
+bulkUploadJobSchema.statics.FILELESS_TYPES = FILELESS_TYPES;
+
 module.exports = mongoose.model('BulkUploadJob', bulkUploadJobSchema);
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+/**
+ * Format of server-generated codes (see utils/codeGenerator)
+ * Unset fields fall back to the generator defaults. Shared by the brand's
+ * default scheme and the BulkUploadJob snapshot of a generation job.
+ */
+const codeSchemeSchema = new mongoose.Schema(
+  {
+    prefix: { type: String, trim: true },
+    length: { type: Number }, // characters after the prefix, check character included
+    alphabet: { type: String },
+    groupSize: { type: Number }, // 0 = no grouping
+    separator: { type: String },
+    checkDigit: { type: String, enum: ['none', 'luhn', 'damm'] },
+  },
+  { _id: false }
+);
+
+module.exports = codeSchemeSchema;
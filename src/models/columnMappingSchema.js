@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+/**
+ * Which file columns feed which AuthCode fields in a codes upload
+ * Values are header names as they appear in the file (matched case-insensitively).
+ * Shared by brand import profiles and the BulkUploadJob snapshot.
+ */
+const columnMappingSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, trim: true },
+    sku: { type: String, trim: true },
+    batchNumber: { type: String, trim: true },
+    serialNumber: { type: String, trim: true },
+    expiryDate: { type: String, trim: true },
+    // Copied into AuthCode.metadata under their header name
+    metadata: [{ type: String, trim: true }],
+  },
+  { _id: false }
+);
+
+module.exports = columnMappingSchema;
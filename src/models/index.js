@@ -1,7 +1,13 @@
 module.exports = {
   User: require('./User'),
+  ApiKey: require('./ApiKey'),
+  SigningKey: require('./SigningKey'),
+  RefreshToken: require('./RefreshToken'),
+  RevokedToken: require('./RevokedToken'),
   Brand: require('./Brand'),
   AuthCode: require('./AuthCode'),
   Product: require('./Product'),
+  ScanLog: require('./ScanLog'),
   BulkUploadJob: require('./BulkUploadJob'),
+  BulkUploadError: require('./BulkUploadError'),
 };
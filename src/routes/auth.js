@@ -1,10 +1,31 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
-const { protect } = require('../middleware/auth');
+const { protect, restrictTo } = require('../middleware/auth');
+const { apiLimiter, authLimiter } = require('../middleware/rateLimiter');
+const validate = require('../middleware/validate');
+const {
+  registerValidator,
+  loginValidator,
+  changePasswordValidator,
+  forgotPasswordValidator,
+  resetPasswordValidator,
+} = require('../validators/authValidator');
 
-router.post('/register', authController.register);
-router.post('/login', authController.login);
+// Credential endpoints share the strict auth limiter
+router.post('/register', authLimiter, registerValidator, validate, authController.register);
+router.post('/login', authLimiter, loginValidator, validate, authController.login);
+router.post('/forgot-password', authLimiter, forgotPasswordValidator, validate, authController.forgotPassword);
+router.post('/reset-password', authLimiter, resetPasswordValidator, validate, authController.resetPassword);
+
+router.use(apiLimiter);
+
+router.post('/refresh', authController.refresh);
 router.get('/me', protect, authController.getMe);
 
+// Session management is for user tokens, not API keys
+router.post('/logout', protect, restrictTo('admin', 'brand_manager', 'viewer'), authController.logout);
+router.post('/logout-all', protect, restrictTo('admin', 'brand_manager', 'viewer'), authController.logoutAll);
+router.patch('/password', protect, restrictTo('admin', 'brand_manager', 'viewer'), changePasswordValidator, validate, authController.changePassword);
+
 module.exports = router;
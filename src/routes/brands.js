@@ -1,15 +1,47 @@
 const express = require('express');
 const router = express.Router();
 const brandController = require('../controllers/brandController');
-const { protect } = require('../middleware/auth');
+const apiKeyController = require('../controllers/apiKeyController');
+const signingKeyController = require('../controllers/signingKeyController');
+const { protect, restrictTo, requireScope } = require('../middleware/auth');
+const { apiLimiter } = require('../middleware/rateLimiter');
+const validate = require('../middleware/validate');
+const {
+  createBrandValidator,
+  updateBrandValidator,
+  brandIdValidator,
+  listBrandsValidator,
+  brandAnalyticsValidator,
+  importProfileNameValidator,
+  saveImportProfileValidator,
+} = require('../validators/brandValidator');
+const { createApiKeyValidator, apiKeyIdValidator } = require('../validators/apiKeyValidator');
+const { createSigningKeyValidator, signingKeyIdValidator } = require('../validators/signingKeyValidator');
 
 // All brand routes require authentication
-router.use(protect);
+router.use(apiLimiter, protect);
 
-router.post('/', brandController.createBrand);
-router.get('/', brandController.getBrands);
-router.get('/:id', brandController.getBrand);
-router.patch('/:id', brandController.updateBrand);
-router.delete('/:id', brandController.deleteBrand);
+router.post('/', restrictTo('admin'), createBrandValidator, validate, brandController.createBrand);
+router.get('/', listBrandsValidator, validate, brandController.getBrands);
+router.get('/:id/analytics', requireScope('analytics:read'), brandAnalyticsValidator, validate, brandController.getBrandAnalytics);
+router.get('/:id', brandIdValidator, validate, brandController.getBrand);
+router.patch('/:id', restrictTo('admin', 'brand_manager'), updateBrandValidator, validate, brandController.updateBrand);
+router.delete('/:id', restrictTo('admin'), brandIdValidator, validate, brandController.deleteBrand);
+
+// API keys (managed by users, never by other API keys)
+router.post('/:id/api-keys', restrictTo('admin', 'brand_manager'), createApiKeyValidator, validate, apiKeyController.createApiKey);
+router.get('/:id/api-keys', restrictTo('admin', 'brand_manager'), brandIdValidator, validate, apiKeyController.getApiKeys);
+router.post('/:id/api-keys/:keyId/rotate', restrictTo('admin', 'brand_manager'), apiKeyIdValidator, validate, apiKeyController.rotateApiKey);
+router.delete('/:id/api-keys/:keyId', restrictTo('admin', 'brand_manager'), apiKeyIdValidator, validate, apiKeyController.revokeApiKey);
+
+// Code signing keys
+router.post('/:id/signing-keys', restrictTo('admin', 'brand_manager'), createSigningKeyValidator, validate, signingKeyController.createSigningKey);
+router.get('/:id/signing-keys', restrictTo('admin', 'brand_manager'), brandIdValidator, validate, signingKeyController.getSigningKeys);
+router.delete('/:id/signing-keys/:kid', restrictTo('admin', 'brand_manager'), signingKeyIdValidator, validate, signingKeyController.revokeSigningKey);
+
+// Column mapping profiles for codes uploads
+router.get('/:id/import-profiles', restrictTo('admin', 'brand_manager'), brandIdValidator, validate, brandController.getImportProfiles);
+router.put('/:id/import-profiles/:name', restrictTo('admin', 'brand_manager'), saveImportProfileValidator, validate, brandController.saveImportProfile);
+router.delete('/:id/import-profiles/:name', restrictTo('admin', 'brand_manager'), importProfileNameValidator, validate, brandController.deleteImportProfile);
 
 module.exports = router;
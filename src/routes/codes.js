@@ -3,7 +3,24 @@ const router = express.Router();
 const multer = require('multer');
 const path = require('path');
 const codeController = require('../controllers/codeController');
-const { protect } = require('../middleware/auth');
+const bulkUploadService = require('../services/bulkUploadService');
+const { protect, restrictTo, requireScope } = require('../middleware/auth');
+const { apiLimiter, uploadLimiter } = require('../middleware/rateLimiter');
+const validate = require('../middleware/validate');
+const config = require('../config');
+const {
+  addCodeValidator,
+  listCodesValidator,
+  codeIdValidator,
+  uploadCodesValidator,
+  bulkUploadValidator,
+  generateCodesValidator,
+  bulkQrValidator,
+  jobIdValidator,
+  cancelJobValidator,
+  errorReportValidator,
+  listJobsValidator,
+} = require('../validators/codeValidator');
 
 // Configure multer for file uploads (CSV and Excel)
 const storage = multer.diskStorage({
@@ -36,69 +53,100 @@ const upload = multer({
     }
   },
   limits: { 
-    fileSize: 50 * 1024 * 1024, // 50MB max
+    fileSize: config.maxFileSize, // 50MB by default
+  },
+});
+
+// Bulk uploads also take TSV, plain text code lists and zip archives of those
+const bulkUpload = multer({
+  storage,
+  fileFilter: (req, file, cb) => {
+    if (bulkUploadService.detectFileType(file.originalname, file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV, TSV, TXT, Excel and ZIP files are allowed'), false);
+    }
+  },
+  limits: { 
+    fileSize: config.maxFileSize,
   },
 });
 
 // All code routes require authentication
-router.use(protect);
+router.use(apiLimiter, protect);
 
 // ============================================
 // QR CODE ROUTES
 // ============================================
 
+// Generate QR codes for all matching codes of a brand (background job)
+router.post('/generate-qr', requireScope('codes:write'), restrictTo('admin', 'brand_manager'), uploadLimiter, bulkQrValidator, validate, codeController.bulkGenerateQRCodes);
+
 // Generate QR code for a code
-router.post('/:id/generate-qr', codeController.generateQRCode);
+router.post('/:id/generate-qr', requireScope('codes:write'), restrictTo('admin', 'brand_manager'), codeIdValidator, validate, codeController.generateQRCode);
 
 // Get QR code for a code
-router.get('/:id/qr', codeController.getQRCode);
+router.get('/:id/qr', requireScope('codes:read'), codeIdValidator, validate, codeController.getQRCode);
 
 // Regenerate QR code for a code
-router.patch('/:id/regenerate-qr', codeController.regenerateQRCode);
+router.patch('/:id/regenerate-qr', requireScope('codes:write'), restrictTo('admin', 'brand_manager'), codeIdValidator, validate, codeController.regenerateQRCode);
 
 // ============================================
 // BULK UPLOAD ROUTES (NEW)
 // ============================================
 
-// Bulk upload with background processing (CSV or Excel)
-router.post('/bulk-upload', upload.single('file'), codeController.bulkUpload);
+// Bulk upload with background processing (CSV, TSV, TXT, Excel or ZIP)
+router.post('/bulk-upload', requireScope('codes:write'), restrictTo('admin', 'brand_manager'), uploadLimiter, bulkUpload.single('file'), bulkUploadValidator, validate, codeController.bulkUpload);
 
 // Get bulk upload job status
-router.get('/bulk-upload/:jobId', codeController.getBulkUploadStatus);
+router.get('/bulk-upload/:jobId', requireScope('codes:read', 'codes:write'), jobIdValidator, validate, codeController.getBulkUploadStatus);
+
+// Download the full list of rejected rows (errors.csv or errors.xlsx)
+router.get('/bulk-upload/:jobId/errors.:format', requireScope('codes:read', 'codes:write'), errorReportValidator, validate, codeController.downloadBulkUploadErrors);
 
 // Get all bulk upload jobs for authenticated user
-router.get('/bulk-upload-jobs', codeController.getBulkUploadJobs);
+router.get('/bulk-upload-jobs', requireScope('codes:read', 'codes:write'), listJobsValidator, validate, codeController.getBulkUploadJobs);
 
 // Cancel bulk upload job
-router.patch('/bulk-upload/:jobId/cancel', codeController.cancelBulkUpload);
+router.patch('/bulk-upload/:jobId/cancel', requireScope('codes:write'), restrictTo('admin', 'brand_manager'), cancelJobValidator, validate, codeController.cancelBulkUpload);
+
+// Resume a failed job from its checkpoint
+router.post('/bulk-upload/:jobId/resume', requireScope('codes:write'), restrictTo('admin', 'brand_manager'), jobIdValidator, validate, codeController.resumeBulkUpload);
+
+// ============================================
+// CODE GENERATION
+// ============================================
+
+// Generate random codes (large counts run as a bulk upload job)
+router.post('/generate', requireScope('codes:write'), restrictTo('admin', 'brand_manager'), uploadLimiter, generateCodesValidator, validate, codeController.generateCodes);
 
 // ============================================
 // TEMPLATE DOWNLOADS
 // ============================================
 
 // Download CSV template
-router.get('/template/csv', codeController.downloadTemplate);
+router.get('/template/csv', requireScope('codes:read', 'codes:write'), codeController.downloadTemplate);
 
 // Download Excel template
-router.get('/template/excel', codeController.downloadExcelTemplate);
+router.get('/template/excel', requireScope('codes:read', 'codes:write'), codeController.downloadExcelTemplate);
 
 // ============================================
 // LEGACY & SINGLE CODE ROUTES
 // ============================================
 
 // Legacy CSV upload (synchronous - for small files)
-router.post('/upload', upload.single('file'), codeController.uploadCodes);
+router.post('/upload', requireScope('codes:write'), restrictTo('admin', 'brand_manager'), uploadLimiter, upload.single('file'), uploadCodesValidator, validate, codeController.uploadCodes);
 
 // Add single code
-router.post('/', codeController.addCode);
+router.post('/', requireScope('codes:write'), restrictTo('admin', 'brand_manager'), addCodeValidator, validate, codeController.addCode);
 
 // Get codes with filtering and pagination
-router.get('/', codeController.getCodes);
+router.get('/', requireScope('codes:read'), listCodesValidator, validate, codeController.getCodes);
 
 // Delete code
-router.delete('/:id', codeController.deleteCode);
+router.delete('/:id', requireScope('codes:write'), restrictTo('admin', 'brand_manager'), codeIdValidator, validate, codeController.deleteCode);
 
 // Deactivate code
-router.patch('/:id/deactivate', codeController.deactivateCode);
+router.patch('/:id/deactivate', requireScope('codes:write'), restrictTo('admin', 'brand_manager'), codeIdValidator, validate, codeController.deactivateCode);
 
 module.exports = router;
\ No newline at end of file
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 
 router.use('/auth', require('./auth'));
+router.use('/users', require('./users'));
 router.use('/brands', require('./brands'));
 router.use('/codes', require('./codes'));
 router.use('/verify', require('./verify'));
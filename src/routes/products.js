@@ -3,8 +3,9 @@ const router = express.Router();
 const multer = require('multer');
 const path = require('path');
 const productController = require('../controllers/productController');
-const { protect, restrictTo, checkBrandAccess } = require('../middleware/auth');
-const { uploadLimiter } = require('../middleware/rateLimiter');
+const bulkUploadService = require('../services/bulkUploadService');
+const { protect, restrictTo, requireScope } = require('../middleware/auth');
+const { apiLimiter, uploadLimiter } = require('../middleware/rateLimiter');
 const validate = require('../middleware/validate');
 const config = require('../config');
 const {
@@ -13,27 +14,32 @@ const {
   productIdValidator,
   listProductsValidator,
   bulkCreateValidator,
+  uploadProductsValidator,
+  verifyTokenValidator,
   revokeProductValidator,
 } = require('../validators/productValidator');
+const {
+  jobIdValidator,
+  cancelJobValidator,
+  listJobsValidator,
+} = require('../validators/codeValidator');
 
-// Configure multer for CSV uploads
+// Configure multer for product imports (CSV, TSV and Excel)
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
     cb(null, path.join(__dirname, '../../uploads'));
   },
   filename: (req, file, cb) => {
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9);
-    cb(null, `products-${uniqueSuffix}.csv`);
+    cb(null, `products-${uniqueSuffix}${path.extname(file.originalname).toLowerCase()}`);
   },
 });
 
 const fileFilter = (req, file, cb) => {
-  if (file.mimetype === 'text/csv' || 
-      file.originalname.endsWith('.csv') ||
-      file.mimetype === 'application/vnd.ms-excel') {
+  if (bulkUploadService.detectFileType(file.originalname, file.mimetype, 'products')) {
     cb(null, true);
   } else {
-    cb(new Error('Only CSV files are allowed'), false);
+    cb(new Error('Only CSV, TSV and Excel files are allowed'), false);
   }
 };
 
@@ -46,34 +52,39 @@ const upload = multer({
 });
 
 // All routes require authentication
-router.use(protect);
+router.use(apiLimiter, protect);
 
 // CSV template download
-router.get('/template', productController.downloadTemplate);
+router.get('/template', requireScope('products:read', 'products:write'), productController.downloadTemplate);
 
 // List products
-router.get('/', listProductsValidator, validate, productController.getProducts);
+router.get('/', requireScope('products:read'), listProductsValidator, validate, productController.getProducts);
 
 // Bulk operations
-router.post('/bulk', restrictTo('admin', 'brand_manager'), bulkCreateValidator, validate, productController.bulkCreateProducts);
-router.post('/upload', restrictTo('admin', 'brand_manager'), uploadLimiter, upload.single('file'), productController.uploadProducts);
-router.post('/bulk-revoke', restrictTo('admin', 'brand_manager'), productController.bulkRevokeProducts);
+router.post('/bulk', requireScope('products:write'), restrictTo('admin', 'brand_manager'), bulkCreateValidator, validate, productController.bulkCreateProducts);
+router.post('/upload', requireScope('products:write'), restrictTo('admin', 'brand_manager'), uploadLimiter, upload.single('file'), uploadProductsValidator, validate, productController.uploadProducts);
+router.post('/bulk-revoke', requireScope('products:write'), restrictTo('admin', 'brand_manager'), productController.bulkRevokeProducts);
+
+// Background import jobs (POST /upload)
+router.get('/upload-jobs', requireScope('products:read', 'products:write'), listJobsValidator, validate, productController.getUploadJobs);
+router.get('/upload/:jobId', requireScope('products:read', 'products:write'), jobIdValidator, validate, productController.getUploadStatus);
+router.patch('/upload/:jobId/cancel', requireScope('products:write'), restrictTo('admin', 'brand_manager'), cancelJobValidator, validate, productController.cancelUpload);
 
 // Get products by import batch
-router.get('/batch/:importBatch', productController.getProductsByBatch);
+router.get('/batch/:importBatch', requireScope('products:read'), productController.getProductsByBatch);
 
 // Get product by auth token
-router.get('/token/:token', productController.getProductByToken);
+router.get('/token/:token', requireScope('products:read'), verifyTokenValidator, validate, productController.getProductByToken);
 
 // Create single product
-router.post('/', restrictTo('admin', 'brand_manager'), createProductValidator, validate, productController.createProduct);
+router.post('/', requireScope('products:write'), restrictTo('admin', 'brand_manager'), createProductValidator, validate, productController.createProduct);
 
 // Single product operations
-router.get('/:id', productIdValidator, validate, productController.getProduct);
-router.patch('/:id', restrictTo('admin', 'brand_manager'), updateProductValidator, validate, productController.updateProduct);
+router.get('/:id', requireScope('products:read'), productIdValidator, validate, productController.getProduct);
+router.patch('/:id', requireScope('products:write'), restrictTo('admin', 'brand_manager'), updateProductValidator, validate, productController.updateProduct);
 router.delete('/:id', restrictTo('admin'), productIdValidator, validate, productController.deleteProduct);
 
 // Revoke product
-router.post('/:id/revoke', restrictTo('admin', 'brand_manager'), revokeProductValidator, validate, productController.revokeProduct);
+router.post('/:id/revoke', requireScope('products:write'), restrictTo('admin', 'brand_manager'), revokeProductValidator, validate, productController.revokeProduct);
 
 module.exports = router;
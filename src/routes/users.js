@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const userController = require('../controllers/userController');
+const { protect, restrictTo } = require('../middleware/auth');
+const { apiLimiter } = require('../middleware/rateLimiter');
+const validate = require('../middleware/validate');
+const {
+  listUsersValidator,
+  inviteUserValidator,
+  updateRoleValidator,
+  userIdValidator,
+  brandAccessValidator,
+  revokeBrandAccessValidator,
+} = require('../validators/userValidator');
+
+// User administration is admin only
+router.use(apiLimiter, protect, restrictTo('admin'));
+
+router.get('/', listUsersValidator, validate, userController.getUsers);
+router.post('/invite', inviteUserValidator, validate, userController.inviteUser);
+router.get('/:id', userIdValidator, validate, userController.getUser);
+router.patch('/:id/role', updateRoleValidator, validate, userController.updateRole);
+router.patch('/:id/deactivate', userIdValidator, validate, userController.deactivateUser);
+router.patch('/:id/activate', userIdValidator, validate, userController.activateUser);
+
+// Brand access assignments
+router.get('/:id/brands', userIdValidator, validate, userController.getBrandAccess);
+router.post('/:id/brands', brandAccessValidator, validate, userController.grantBrandAccess);
+router.put('/:id/brands', brandAccessValidator, validate, userController.setBrandAccess);
+router.delete('/:id/brands/:brandId', revokeBrandAccessValidator, validate, userController.revokeBrandAccess);
+
+module.exports = router;
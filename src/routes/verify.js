@@ -1,9 +1,26 @@
 const express = require('express');
 const router = express.Router();
 const verifyController = require('../controllers/verifyController');
+const signingKeyController = require('../controllers/signingKeyController');
+const { optionalApiKey } = require('../middleware/auth');
+const { verifyLimiter, apiKeyLimiter } = require('../middleware/rateLimiter');
+const validate = require('../middleware/validate');
+const {
+  verifyCodeValidator,
+  verifyPostValidator,
+  verifyProductValidator,
+} = require('../validators/verifyValidator');
+const { publicKeysValidator } = require('../validators/signingKeyValidator');
 
 // PUBLIC - No authentication required
-router.get('/:code', verifyController.verify);
-router.post('/', verifyController.verifyPost);
+// Integrations may send an API key with the "verify" scope to skip the per-IP limit;
+// rejected keys are limited before they are checked
+router.use(apiKeyLimiter, optionalApiKey('verify'), verifyLimiter);
+
+router.get('/brands/:brandId/keys', publicKeysValidator, validate, signingKeyController.getPublicKeys);
+router.get('/product/:authToken', verifyProductValidator, validate, verifyController.verifyProduct);
+router.post('/product/:authToken', verifyProductValidator, validate, verifyController.verifyProduct);
+router.get('/:code', verifyCodeValidator, validate, verifyController.verify);
+router.post('/', verifyPostValidator, validate, verifyController.verifyPost);
 
 module.exports = router;
@@ -1,9 +1,99 @@
+const ExcelJS = require('exceljs');
 const XLSX = require('xlsx');
+const unzipper = require('unzipper');
 const { parse } = require('csv-parse');
 const fs = require('fs');
-const QRCode = require('qrcode');
-const { AuthCode, Brand, BulkUploadJob } = require('../models');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { pipeline, Transform } = require('stream');
+const { pipeline: pipelineAsync } = require('stream/promises');
+const config = require('../config');
+const { AuthCode, Brand, BulkUploadJob, BulkUploadError, Product } = require('../models');
 const s3Service = require('../utils/s3Service');
+const csvService = require('./csvService');
+const codeGenerationService = require('./codeGenerationService');
+const qrService = require('./qrService');
+const queueService = require('./queueService');
+const { detectEncoding, createDecoder } = require('../utils/textEncoding');
+const CodeHashSet = require('../utils/codeHashSet');
+
+// Accepted uploads: by extension first, since browsers send .csv files
+// as application/vnd.ms-excel and .tsv/.txt with all kinds of types
+const FILE_EXTENSIONS = {
+  '.csv': 'csv',
+  '.tsv': 'tsv',
+  '.tab': 'tsv',
+  '.txt': 'txt',
+  '.xlsx': 'xlsx',
+  '.xls': 'xls',
+  '.zip': 'zip',
+};
+const FILE_MIME_TYPES = {
+  'text/csv': 'csv',
+  'text/tab-separated-values': 'tsv',
+  'text/plain': 'txt',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  'application/vnd.ms-excel': 'xls',
+  'application/zip': 'zip',
+  'application/x-zip-compressed': 'zip',
+};
+const EXCEL_TYPES = ['xlsx', 'xls'];
+// Product imports need a header row; zip archives are for codes only
+const PRODUCT_FILE_TYPES = ['csv', 'tsv', 'xlsx', 'xls'];
+
+// QR jobs: codes per checkpoint and QR images rendered/uploaded at a time
+const QR_BATCH_SIZE = 100;
+const QR_CONCURRENCY = 10;
+
+// Limits for the files inside a zip upload
+const MAX_ZIP_FILES = 100;
+const MAX_ZIP_EXTRACTED_BYTES = 10 * config.maxFileSize;
+
+// Progress counter -> BulkUploadError reason
+const REJECT_REASONS = {
+  duplicatesInFile: 'duplicate_in_file',
+  duplicatesInDb: 'duplicate_in_db',
+  otherBrand: 'other_brand',
+};
+
+// What a job of each type imports: the model, its unique key, the scan
+// counter that protects a document from rollback and the brand counter
+const JOB_TYPES = {
+  codes: {
+    model: AuthCode,
+    key: 'code',
+    label: 'Code',
+    scanCount: 'verifyCount',
+    brandCounter: 'totalCodes',
+  },
+  products: {
+    model: Product,
+    key: 'authToken',
+    label: 'Auth token',
+    scanCount: 'scanCount',
+    brandCounter: 'stats.totalProducts',
+  },
+};
+// Generated codes are codes like uploaded ones
+JOB_TYPES.generate = JOB_TYPES.codes;
+// QR jobs only add images to existing codes, so nothing counts towards the brand
+JOB_TYPES.qr = { ...JOB_TYPES.codes, brandCounter: null };
+
+// Header names recognised when an upload has no column mapping
+// (compared after normalizeHeader)
+const COLUMN_ALIASES = {
+  code: ['code', 'auth_code', 'authcode', 'authentication_code'],
+  sku: ['sku', 'product_sku'],
+  batchNumber: ['batch_number', 'batchnumber', 'batch', 'batch_no', 'lot', 'lot_number'],
+  serialNumber: ['serial_number', 'serialnumber', 'serial', 'serial_no'],
+  expiryDate: ['expiry_date', 'expirydate', 'expiry', 'exp_date', 'best_before'],
+};
+const TEXT_FIELDS = ['sku', 'batchNumber', 'serialNumber'];
+// Plain text files hold nothing but codes
+const TEXT_FILE_MAPPING = { code: 'code', metadata: [] };
+
+const normalizeHeader = (header) => String(header).trim().toLowerCase().replace(/[\s-]+/g, '_');
 
 class BulkUploadService {
   constructor() {
@@ -12,50 +102,99 @@ class BulkUploadService {
   }
 
   /**
-   * Process bulk upload file
-   * @param {Object} options - { jobId, filePath, fileType, brandId, productId, userId, io }
+   * Process bulk upload file (runs in the queue worker)
+   * @param {Object} options - { jobId, io, attempt, maxAttempts }
+   * `io` is a Socket.io server or any emitter with the same to(room).emit() interface.
+   * Progress and the checkpoint carry over between attempts, so a retry or a
+   * resume continues after the last committed batch. The source file is kept
+   * until the job completes or is cancelled.
+   * Dry-run jobs run every check but insert nothing; they always start over.
+   * Code and product imports (job.type) share the whole pipeline; only the
+   * row mapping and the imported model differ. Generation jobs have no file
+   * and create their codes in batches instead (see processGeneration); QR
+   * jobs render images for existing codes (see processQrCodes).
    */
-  async processBulkUpload({ jobId, filePath, fileType, brandId, productId, userId, io }) {
+  async processBulkUpload({ jobId, io, attempt = 1, maxAttempts = 1 }) {
     let job;
-    
+    let filePath;
+
     try {
       // Get job
       job = await BulkUploadJob.findOne({ jobId });
       if (!job) {
-        throw new Error('Job not found');
+        throw this.permanentError('Job not found');
+      }
+
+      // Cancelled while waiting in the queue
+      if (job.status === 'cancelled') {
+        await this.removeSourceFile(job);
+        return null;
       }
+      await this.checkCancelled(jobId);
 
       // Update job status
       job.status = 'processing';
+      job.attempts = attempt;
+      job.maxAttempts = maxAttempts;
       job.summary.startTime = new Date();
+      job.summary.endTime = undefined;
+      job.summary.duration = undefined;
+      if (job.dryRun) {
+        this.resetProgress(job);
+      }
       await job.save();
 
+      // Rows after the checkpoint are read again; drop their stale report entries
+      await BulkUploadError.deleteMany({ jobId, batch: { $gt: job.checkpoint?.batch || 0 } });
+      if (job.type === 'products' && !job.dryRun) {
+        await this.discardUncommittedProducts(job);
+      }
+
       // Emit progress
-      this.emitProgress(io, userId, jobId, job);
+      this.emitProgress(io, job);
 
       // Validate brand exists
-      const brand = await Brand.findById(brandId);
+      const brand = await Brand.findById(job.brandId);
       if (!brand) {
-        throw new Error('Brand not found');
+        throw this.permanentError('Brand not found');
       }
 
-      // Process based on file type
       let result;
-      if (fileType === 'csv') {
-        result = await this.processCSV(filePath, brandId, productId, job, io, userId);
-      } else if (fileType === 'xlsx') {
-        result = await this.processExcel(filePath, brandId, productId, job, io, userId);
+      if (job.type === 'generate') {
+        result = await this.processGeneration(job, io);
+      } else if (job.type === 'qr') {
+        result = await this.processQrCodes(job, io);
       } else {
-        throw new Error('Unsupported file type');
+        filePath = await this.fetchSourceFile(job);
+
+        // A zip archive is one job over the files inside it
+        if (!FILE_EXTENSIONS[`.${job.fileType}`] ||
+            (job.type === 'products' && !PRODUCT_FILE_TYPES.includes(job.fileType))) {
+          throw this.permanentError('Unsupported file type');
+        }
+        const files = job.fileType === 'zip'
+          ? await this.extractZip(filePath, job)
+          : [{ path: filePath, fileType: job.fileType }];
+
+        result = await this.processFiles(files, job, io);
       }
 
-      // Update brand total codes
-      await Brand.findByIdAndUpdate(brandId, {
-        $inc: { totalCodes: result.successful },
-      });
+      // Last chance to honour a cancel that arrived during the final batch
+      await this.checkCancelled(jobId);
+
+      // Update brand totals (rows from earlier attempts included)
+      const { brandCounter } = this.jobType(job);
+      if (!job.dryRun && brandCounter) {
+        await Brand.findByIdAndUpdate(job.brandId, {
+          $inc: { [brandCounter]: job.progress.successful },
+        });
+      }
 
-      // Complete job
+      // Complete job (the CSV total was only an estimate)
       job.status = 'completed';
+      job.progress.total = job.progress.processed;
+      job.progress.percentage = 100;
+      job.progress.etaSeconds = 0;
       job.summary.endTime = new Date();
       job.summary.duration = job.summary.endTime - job.summary.startTime;
       job.summary.avgProcessingSpeed = Math.round(
@@ -64,232 +203,971 @@ class BulkUploadService {
       await job.save();
 
       // Emit final progress
-      this.emitProgress(io, userId, jobId, job);
+      this.emitProgress(io, job);
 
       // Cleanup file
-      this.cleanupFile(filePath);
+      await this.removeSourceFile(job);
 
       return result;
     } catch (error) {
+      if (error.cancelled && job) {
+        await this.finalizeCancellation(job, error.rollback);
+        this.emitProgress(io, job);
+        await this.removeSourceFile(job);
+        return null;
+      }
+
       console.error('Bulk upload error:', error);
 
+      const willRetry = !error.permanent && attempt < maxAttempts;
+
       if (job) {
-        job.status = 'failed';
-        job.summary.endTime = new Date();
-        if (job.summary.startTime) {
-          job.summary.duration = job.summary.endTime - job.summary.startTime;
+        job.lastError = error.message;
+
+        if (willRetry) {
+          job.status = 'pending';
+        } else {
+          job.status = 'failed';
+          job.summary.endTime = new Date();
+          if (job.summary.startTime) {
+            job.summary.duration = job.summary.endTime - job.summary.startTime;
+          }
+          await job.addError({
+            row: 0,
+            code: 'SYSTEM_ERROR',
+            error: error.message,
+          });
         }
-        await job.addError({
-          row: 0,
-          code: 'SYSTEM_ERROR',
-          error: error.message,
-        });
         await job.save();
 
         // Emit error
-        this.emitProgress(io, userId, jobId, job);
+        this.emitProgress(io, job);
       }
 
-      // Cleanup file
-      this.cleanupFile(filePath);
+      // The source file stays for the retry or a manual resume
+      this.releaseLocalCopy(job, filePath);
 
       throw error;
     }
   }
 
   /**
-   * Process CSV file with streaming
+   * Clear counters, checkpoint and errors so the file is read from the start
    */
-  async processCSV(filePath, brandId, productId, job, io, userId) {
-    return new Promise(async (resolve, reject) => {
-      const codes = [];
+  resetProgress(job) {
+    job.progress = {
+      total: 0,
+      processed: 0,
+      successful: 0,
+      failed: 0,
+      duplicates: 0,
+      percentage: 0,
+      rowsPerSecond: 0,
+      etaSeconds: undefined,
+      invalid: 0,
+      duplicatesInFile: 0,
+      duplicatesInDb: 0,
+      otherBrand: 0,
+    };
+    job.checkpoint = { row: 0, batch: 0 };
+    job.errors = [];
+  }
+
+  /**
+   * Throw if a cancel was requested for the job
+   * Re-reads the flag from the database since the API process sets it.
+   */
+  async checkCancelled(jobId) {
+    const request = await BulkUploadJob.findOne({ jobId, cancelRequested: true })
+      .select('rollbackOnCancel')
+      .lean();
+
+    if (request) {
+      const error = new Error('Upload cancelled');
+      error.cancelled = true;
+      error.rollback = request.rollbackOnCancel;
+      throw error;
+    }
+  }
+
+  /**
+   * Import settings of the job's type (see JOB_TYPES)
+   */
+  jobType(job) {
+    return JOB_TYPES[job.type] || JOB_TYPES.codes;
+  }
+
+  /**
+   * Remove the products an interrupted batch inserted before it was committed
+   * Their rows are read again and, without an auth token column, would get
+   * new tokens instead of being recognised as already imported.
+   */
+  async discardUncommittedProducts(job) {
+    const filter = { importBatch: job.jobId, scanCount: 0 };
+    if (job.checkpoint?.updatedAt) {
+      filter.createdAt = { $gt: job.checkpoint.updatedAt };
+    }
+    await Product.deleteMany(filter);
+  }
+
+  /**
+   * Request the cancellation of a pending or processing job
+   * A job still waiting in the queue is removed from it and cancelled right
+   * away; a running one is flagged and stops after its current batch.
+   * @returns {Promise<boolean>} true if the job was cancelled immediately
+   */
+  async cancelJob(job, rollback = false) {
+    if (job.status === 'pending' && await queueService.removeQueuedBulkUpload(job.jobId)) {
+      await this.finalizeCancellation(job, rollback);
+      await this.removeSourceFile(job);
+      return true;
+    }
+
+    job.cancelRequested = true;
+    job.cancelRequestedAt = new Date();
+    job.rollbackOnCancel = rollback;
+    await job.save();
+    return false;
+  }
+
+  /**
+   * Mark a job cancelled and optionally remove the codes (or products) it inserted
+   * Anything that has already been scanned is never removed. What is kept
+   * counts towards the brand like the rows of a completed upload.
+   * QR jobs create no codes: the images made so far are kept either way.
+   */
+  async finalizeCancellation(job, rollback = false) {
+    const { model, scanCount, brandCounter } = this.jobType(job);
+
+    let removed = 0;
+    let kept;
+    if (job.type === 'qr') {
+      rollback = false;
+      kept = job.progress.successful;
+    } else {
+      if (rollback) {
+        const result = await model.deleteMany({ importBatch: job.jobId, [scanCount]: 0 });
+        removed = result.deletedCount;
+      }
+
+      kept = await model.countDocuments({ importBatch: job.jobId });
+      if (kept > 0) {
+        await Brand.findByIdAndUpdate(job.brandId, { $inc: { [brandCounter]: kept } });
+      }
+    }
+
+    job.status = 'cancelled';
+    job.summary.endTime = new Date();
+    if (job.summary.startTime) {
+      job.summary.duration = job.summary.endTime - job.summary.startTime;
+    }
+    job.summary.cancellation = { kept, removed, rolledBack: rollback };
+    await job.save();
+
+    return job.summary.cancellation;
+  }
+
+  /**
+   * Error that retrying cannot fix (missing brand, unsupported file, ...)
+   */
+  permanentError(message) {
+    const error = new Error(message);
+    error.permanent = true;
+    return error;
+  }
+
+  /**
+   * Keep the uploaded file until the job finishes
+   * Stored in S3 (job.s3Key) when BULK_UPLOAD_STORAGE=s3, so any worker can
+   * pick the job up; otherwise on the uploads volume shared with the worker.
+   * Call before saving a new job.
+   */
+  async storeSourceFile(job, localPath) {
+    if (config.bulkUpload.storage === 's3') {
+      job.s3Key = await s3Service.uploadObject(
+        localPath,
+        `bulk-uploads/${job.jobId}.${job.fileType}`
+      );
+      this.cleanupFile(localPath);
+    } else {
+      job.filePath = path.resolve(localPath);
+    }
+  }
+
+  /**
+   * Whether the source file is still around (required to resume)
+   */
+  hasSourceFile(job) {
+    // Generation and QR jobs need none
+    if (BulkUploadJob.FILELESS_TYPES.includes(job.type)) return true;
+    return Boolean(job.s3Key) || Boolean(job.filePath && fs.existsSync(job.filePath));
+  }
+
+  /**
+   * Get a local path to the source file, downloading it from S3 if needed
+   */
+  async fetchSourceFile(job) {
+    if (job.filePath && fs.existsSync(job.filePath)) {
+      return job.filePath;
+    }
+
+    if (job.s3Key) {
+      const localPath = this.tempPath(job);
+      await s3Service.downloadToFile(job.s3Key, localPath);
+      return localPath;
+    }
+
+    throw this.permanentError('Source file is no longer available');
+  }
+
+  /**
+   * Delete the source file everywhere (job completed, cancelled or expired)
+   */
+  async removeSourceFile(job) {
+    this.cleanupFile(job.filePath);
+    this.cleanupFile(this.tempPath(job));
+    this.cleanupExtracted(job);
+
+    if (job.s3Key) {
+      try {
+        await s3Service.deleteObject(job.s3Key);
+      } catch (error) {
+        console.error('Source file cleanup error:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Delete a temporary download, keeping the stored source file
+   */
+  releaseLocalCopy(job, filePath) {
+    if (job && filePath && filePath !== job.filePath) {
+      this.cleanupFile(filePath);
+    }
+    if (job) this.cleanupExtracted(job);
+  }
+
+  tempPath(job) {
+    return path.join(os.tmpdir(), `bulk-upload-${job.jobId}.${job.fileType}`);
+  }
+
+  extractPath(job) {
+    return path.join(os.tmpdir(), `bulk-upload-${job.jobId}`);
+  }
+
+  cleanupExtracted(job) {
+    try {
+      fs.rmSync(this.extractPath(job), { recursive: true, force: true });
+    } catch (error) {
+      console.error('Extracted files cleanup error:', error);
+    }
+  }
+
+  /**
+   * Upload type (csv, tsv, txt, xlsx, xls, zip) of a file, or null if a
+   * job of `jobType` cannot import it
+   */
+  detectFileType(filename, mimetype, jobType = 'codes') {
+    const fileType = FILE_EXTENSIONS[path.extname(filename || '').toLowerCase()] ||
+      FILE_MIME_TYPES[mimetype] ||
+      null;
+
+    if (jobType === 'products' && !PRODUCT_FILE_TYPES.includes(fileType)) {
+      return null;
+    }
+    return fileType;
+  }
+
+  /**
+   * Extract the importable files of a zip archive to a temporary folder
+   * Folders, hidden files and macOS metadata are skipped and nested archives
+   * are not opened. Returns the files sorted by their path in the archive.
+   */
+  async extractZip(zipPath, job) {
+    let directory;
+    try {
+      directory = await unzipper.Open.file(zipPath);
+    } catch (error) {
+      throw this.permanentError(`Invalid zip archive: ${error.message}`);
+    }
+
+    const entries = directory.files
+      .filter((entry) => entry.type === 'File')
+      .filter((entry) => !entry.path.split('/').some((part) => part.startsWith('.') || part === '__MACOSX'))
+      .map((entry) => ({ entry, fileType: this.detectFileType(entry.path) }))
+      .filter(({ fileType }) => fileType && fileType !== 'zip')
+      .sort((a, b) => a.entry.path.localeCompare(b.entry.path));
+
+    if (entries.length === 0) {
+      throw this.permanentError('The zip archive contains no CSV, TSV, TXT or Excel files');
+    }
+    if (entries.length > MAX_ZIP_FILES) {
+      throw this.permanentError(`The zip archive contains more than ${MAX_ZIP_FILES} files`);
+    }
+
+    // Sizes in the archive can be forged, so the extracted bytes are counted too
+    const tooLarge = () => this.permanentError(
+      `The zip archive expands to more than ${Math.round(MAX_ZIP_EXTRACTED_BYTES / 1024 / 1024)}MB`
+    );
+    if (entries.reduce((sum, { entry }) => sum + entry.uncompressedSize, 0) > MAX_ZIP_EXTRACTED_BYTES) {
+      throw tooLarge();
+    }
+
+    const dir = this.extractPath(job);
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    let extracted = 0;
+    const files = [];
+    for (const [i, { entry, fileType }] of entries.entries()) {
+      // Entry paths are never used on disk (no zip-slip)
+      const target = path.join(dir, `${i}.${fileType}`);
+      const limit = new Transform({
+        transform(chunk, _encoding, callback) {
+          extracted += chunk.length;
+          callback(extracted > MAX_ZIP_EXTRACTED_BYTES ? tooLarge() : null, chunk);
+        },
+      });
+
+      await pipelineAsync(entry.stream(), limit, fs.createWriteStream(target));
+      files.push({ name: entry.path, path: target, fileType });
+    }
+
+    return files;
+  }
+
+  /**
+   * Delete finished jobs older than `daysOld` together with their source files
+   * (failed jobs keep their file for a resume until then)
+   */
+  async cleanupOldJobs(daysOld = 30) {
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() - daysOld);
+
+    const jobs = await BulkUploadJob.find({
+      status: { $in: ['completed', 'failed', 'cancelled'] },
+      createdAt: { $lt: cutoffDate },
+    }).select('jobId fileType filePath s3Key');
+
+    for (const job of jobs) {
+      await this.removeSourceFile(job);
+    }
+    await BulkUploadError.deleteMany({ jobId: { $in: jobs.map((job) => job.jobId) } });
+
+    return BulkUploadJob.cleanupOldJobs(daysOld);
+  }
+
+  /**
+   * Count the rows of every file for the progress total, then import the
+   * files in order
+   * @param {Array} files - [{ name, path, fileType }]; `name` is the path
+   * inside a zip archive (undefined for a plain upload)
+   * Files before the checkpoint's file were finished by an earlier attempt.
+   */
+  async processFiles(files, job, io) {
+    let total = 0;
+    for (const file of files) {
+      if (EXCEL_TYPES.includes(file.fileType)) {
+        const counted = await this.countExcelRows(file, job.sheets);
+        file.sheets = counted.sheets;
+        total += counted.total;
+      } else {
+        file.encoding = await detectEncoding(file.path);
+        total += await this.countTextRows(file);
+      }
+    }
+
+    await job.updateProgress({ total });
+    job.startProgressClock();
+    this.emitProgress(io, job, true);
+
+    const checkpoint = job.checkpoint?.row ? job.checkpoint : null;
+    const options = {
+      requestedMapping: job.columnMapping,
+      // Codes read so far, across all files of the job, to spot repeats
+      seen: new CodeHashSet(total),
+    };
+    const totals = { processed: 0, successful: 0, failed: 0, duplicates: 0 };
+    let reachedCheckpoint = !checkpoint;
+
+    for (const file of files) {
+      if (!reachedCheckpoint && file.name !== checkpoint.file) continue;
+      const resumeFrom = reachedCheckpoint ? null : checkpoint;
+      reachedCheckpoint = true;
+
+      const stats = EXCEL_TYPES.includes(file.fileType)
+        ? await this.processExcel(file, job, io, { ...options, resumeFrom })
+        : await this.processText(file, job, io, { ...options, resumeFrom });
+      this.addStats(totals, stats);
+
+      await this.checkCancelled(job.jobId);
+    }
+
+    return totals;
+  }
+
+  /**
+   * Generate the codes of a generation job in batches
+   * The count comes from the database rather than the checkpoint, so codes of
+   * a batch interrupted before its checkpoint are not generated twice.
+   */
+  async processGeneration(job, io) {
+    const { count, scheme } = job.generation;
+    const generated = await AuthCode.countDocuments({ importBatch: job.jobId });
+
+    await job.updateProgress({ total: count, processed: generated, successful: generated });
+    job.startProgressClock();
+    this.emitProgress(io, job, true);
+
+    const totals = { processed: 0, successful: 0, failed: 0, duplicates: 0 };
+
+    while (job.progress.processed < count) {
+      const size = Math.min(job.metadata.batchSize || this.BATCH_SIZE, count - job.progress.processed);
+      await codeGenerationService.createCodes({
+        brandId: job.brandId,
+        productId: job.productId,
+        scheme: scheme.toObject(),
+        count: size,
+        importBatch: job.jobId,
+      });
+
+      job.checkpoint = {
+        row: job.progress.processed + size,
+        batch: (job.checkpoint?.batch || 0) + 1,
+        updatedAt: new Date(),
+      };
+      await job.updateProgress({
+        processed: job.progress.processed + size,
+        successful: job.progress.successful + size,
+      });
+      this.addStats(totals, { processed: size, successful: size, failed: 0, duplicates: 0 });
+      this.emitProgress(io, job);
+
+      await this.checkCancelled(job.jobId);
+    }
+
+    return totals;
+  }
+
+  /**
+   * Codes a QR job covers
+   */
+  qrCodeFilter(job) {
+    const filter = { brand: job.brandId };
+    if (job.productId) filter.product = job.productId;
+    if (job.qr?.importBatch) filter.importBatch = job.qr.importBatch;
+    if (job.qr?.status) filter.status = job.qr.status;
+    if (job.qr?.onlyMissing) filter.qrCodeUrl = { $in: [null, ''] };
+    return filter;
+  }
+
+  /**
+   * Render and upload the QR images of a QR job's codes in batches
+   * Codes are walked in _id order and the checkpoint keeps the last one
+   * done, so a retry or a resume continues after it. A code whose image
+   * fails is reported and skipped; a batch where every image fails (S3 down)
+   * fails the job instead, to be retried or resumed later.
+   */
+  async processQrCodes(job, io) {
+    if (!qrService.frontendUrl()) {
+      throw this.permanentError('FRONTEND_BASE_URL environment variable is not set');
+    }
+
+    const filter = this.qrCodeFilter(job);
+    const after = (lastId) => (lastId ? { ...filter, _id: { $gt: lastId } } : filter);
+    let lastId = job.checkpoint?.lastId;
+
+    const remaining = await AuthCode.countDocuments(after(lastId));
+    await job.updateProgress({ total: job.progress.processed + remaining });
+    job.startProgressClock();
+    this.emitProgress(io, job, true);
+
+    const totals = { processed: 0, successful: 0, failed: 0, duplicates: 0 };
+
+    for (;;) {
+      const codes = await AuthCode.find(after(lastId))
+        .sort('_id')
+        .limit(QR_BATCH_SIZE)
+        .select('code qrCodeUrl')
+        .lean();
+      if (codes.length === 0) break;
+
+      const batch = (job.checkpoint?.batch || 0) + 1;
+      const qrData = await qrService.buildQrData(job.brandId, codes.map((authCode) => authCode.code));
       const errors = [];
-      let rowNumber = 0;
-      let processedCount = 0;
-      let successfulCount = 0;
-      let failedCount = 0;
-      let duplicatesCount = 0;
 
-      const parser = fs.createReadStream(filePath).pipe(
+      let next = 0;
+      const worker = async () => {
+        while (next < codes.length) {
+          const i = next++;
+          try {
+            await qrService.storeQrCode(codes[i], qrData[i]);
+          } catch (error) {
+            errors.push({
+              row: job.progress.processed + i + 1,
+              code: codes[i].code,
+              reason: 'qr_failed',
+              error: error.message,
+            });
+          }
+        }
+      };
+      await Promise.all(Array.from({ length: Math.min(QR_CONCURRENCY, codes.length) }, worker));
+
+      if (errors.length === codes.length) {
+        throw new Error(`QR codes could not be stored: ${errors[0].error}`);
+      }
+
+      await this.recordErrors(job, errors.sort((a, b) => a.row - b.row), batch);
+
+      lastId = String(codes[codes.length - 1]._id);
+      job.checkpoint = {
+        row: job.progress.processed + codes.length,
+        batch,
+        lastId,
+        updatedAt: new Date(),
+      };
+      const stats = {
+        processed: codes.length,
+        successful: codes.length - errors.length,
+        failed: errors.length,
+        duplicates: 0,
+      };
+      await job.updateProgress({
+        processed: job.progress.processed + stats.processed,
+        successful: job.progress.successful + stats.successful,
+        failed: job.progress.failed + stats.failed,
+      });
+      this.addStats(totals, stats);
+      this.emitProgress(io, job);
+
+      await this.checkCancelled(job.jobId);
+    }
+
+    return totals;
+  }
+
+  /**
+   * Process a CSV, TSV or plain text file with streaming
+   * Text files hold one code per line (an optional `code` header line is skipped).
+   * Rows up to `resumeFrom.row` were committed by an earlier attempt and are skipped.
+   */
+  async processText(file, job, io, { requestedMapping, resumeFrom, seen } = {}) {
+    const startAfterRow = resumeFrom?.row || 0;
+    const codes = [];
+    const errors = [];
+    const totals = { processed: 0, successful: 0, failed: 0, duplicates: 0 };
+    let rowNumber = 0;
+    let invalidRows = 0;
+    let mapping = file.fileType === 'txt' ? TEXT_FILE_MAPPING : null;
+
+    const flush = async () => {
+      const stats = await this.processBatch(codes.splice(0), job, errors.splice(0), io, {
+        file: file.name,
+        lastRow: rowNumber,
+        invalidRows,
+        seen,
+      });
+      invalidRows = 0;
+      this.addStats(totals, stats);
+    };
+
+    const source = fs.createReadStream(file.path);
+    const decoded = pipeline(source, createDecoder(file.encoding), () => {});
+    const rows = file.fileType === 'txt'
+      ? this.readLines(decoded)
+      : pipeline(
+        decoded,
         parse({
-          columns: true,
+          delimiter: file.fileType === 'tsv' ? '\t' : ',',
+          // Resolve the column mapping as soon as the header is known
+          // (errors thrown here end the parse)
+          columns: (headers) => {
+            mapping = this.resolveMapping(job, headers, requestedMapping);
+            return headers;
+          },
           skip_empty_lines: true,
           trim: true,
           relax_column_count: true,
-        })
+        }),
+        () => {}
       );
 
-      parser.on('data', (row) => {
+    try {
+      for await (const row of rows) {
         rowNumber++;
-        
+        if (rowNumber <= startAfterRow) continue;
+
         try {
-          const code = this.extractCode(row);
-          
-          if (!code) {
-            errors.push({ row: rowNumber, code: '', error: 'Empty or missing code' });
-            failedCount++;
-          } else {
-            codes.push({ code, rowNumber });
-          }
+          const item = this.extractItem(job, row, mapping);
 
-          // Process batch when size reached
-          if (codes.length >= this.BATCH_SIZE) {
-            parser.pause();
-            this.processBatch(codes, brandId, productId, job, errors, io, userId)
-              .then((stats) => {
-                processedCount += stats.processed;
-                successfulCount += stats.successful;
-                failedCount += stats.failed;
-                duplicatesCount += stats.duplicates;
-                codes.length = 0; // Clear batch
-                parser.resume();
-              })
-              .catch(reject);
+          if (!item) {
+            errors.push({ ...this.invalidRow(rowNumber, row, mapping, 'Empty or missing code'), file: file.name });
+            invalidRows++;
+          } else {
+            codes.push({ ...item, rowNumber, file: file.name });
           }
         } catch (error) {
-          errors.push({ row: rowNumber, code: '', error: error.message });
-          failedCount++;
+          errors.push({ ...this.invalidRow(rowNumber, row, mapping, error.message), file: file.name });
+          invalidRows++;
         }
-      });
-
-      parser.on('end', async () => {
-        try {
-          // Process remaining codes
-          if (codes.length > 0) {
-            const stats = await this.processBatch(codes, brandId, productId, job, errors, io, userId);
-            processedCount += stats.processed;
-            successfulCount += stats.successful;
-            failedCount += stats.failed;
-            duplicatesCount += stats.duplicates;
-          }
 
-          resolve({
-            processed: processedCount,
-            successful: successfulCount,
-            failed: failedCount,
-            duplicates: duplicatesCount,
-            errors: errors.slice(0, this.MAX_ERRORS),
-          });
-        } catch (error) {
-          reject(error);
+        // Process batch when size reached
+        if (codes.length >= this.BATCH_SIZE) {
+          await flush();
+          await this.checkCancelled(job.jobId);
         }
-      });
+      }
 
-      parser.on('error', reject);
-    });
+      // Process remaining codes
+      if (codes.length > 0 || invalidRows > 0) {
+        await flush();
+      }
+
+      return totals;
+    } finally {
+      source.destroy();
+    }
   }
 
   /**
-   * Process Excel file
+   * Rows of a one-code-per-line text stream
    */
-  async processExcel(filePath, brandId, productId, job, io, userId) {
-    try {
-      // Read workbook
-      const workbook = XLSX.readFile(filePath, {
-        type: 'file',
-        cellDates: true,
-        cellNF: false,
-        cellText: false,
-      });
+  async *readLines(input) {
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    let first = true;
 
-      const sheetName = workbook.SheetNames[0];
-      const worksheet = workbook.Sheets[sheetName];
+    for await (const line of lines) {
+      const code = line.trim();
+      if (!code) continue;
 
-      // Convert to JSON
-      const rows = XLSX.utils.sheet_to_json(worksheet, {
-        raw: false,
-        defval: null,
-      });
+      // Header line
+      if (first) {
+        first = false;
+        if (COLUMN_ALIASES.code.includes(normalizeHeader(code))) continue;
+      }
 
-      // Update total
-      await job.updateProgress({ total: rows.length });
-      this.emitProgress(io, userId, job.jobId, job);
+      yield { code };
+    }
+  }
+
+  /**
+   * Estimate the number of rows of a text file by counting line breaks
+   * Fast, but an upper bound: blank lines and line breaks inside quoted
+   * values are counted too. Corrected when the job completes.
+   */
+  async countTextRows(file) {
+    let lines = 0;
+    let lastChar;
+
+    // Newlines are counted in the decoded text (UTF-16 has two-byte ones)
+    const text = fs.createReadStream(file.path)
+      .pipe(createDecoder(file.encoding || 'utf-8'))
+      .setEncoding('utf8');
+    for await (const chunk of text) {
+      for (let i = chunk.indexOf('\n'); i !== -1; i = chunk.indexOf('\n', i + 1)) {
+        lines++;
+      }
+      if (chunk.length > 0) lastChar = chunk[chunk.length - 1];
+    }
+
+    // Last line without a trailing newline
+    if (lastChar !== undefined && lastChar !== '\n') lines++;
+
+    // CSV and TSV start with a header row
+    return file.fileType === 'txt' ? lines : Math.max(lines - 1, 0);
+  }
+
+  /**
+   * Process an Excel file
+   * Rows are streamed, so memory stays bounded (apart from the workbook's
+   * shared strings table; legacy .xls files are small enough to load). The
+   * first row of each sheet is its header; batches never span sheets and the
+   * checkpoint records the sheet, so a retry skips finished sheets and the
+   * committed rows of the current one.
+   */
+  async processExcel(file, job, io, { requestedMapping, resumeFrom, seen } = {}) {
+    try {
+      const checkpointSheet = resumeFrom?.sheet;
+      let reachedCheckpoint = !checkpointSheet;
 
       const codes = [];
       const errors = [];
-      let processedCount = 0;
-      let successfulCount = 0;
-      let failedCount = 0;
-      let duplicatesCount = 0;
-
-      // Process in batches
-      for (let i = 0; i < rows.length; i++) {
-        const rowNumber = i + 2; // +2 for Excel (header + 0-index)
-        
-        try {
-          const code = this.extractCode(rows[i]);
-          
-          if (!code) {
-            errors.push({ row: rowNumber, code: '', error: 'Empty or missing code' });
-            failedCount++;
-          } else {
-            codes.push({ code, rowNumber });
+      const totals = { processed: 0, successful: 0, failed: 0, duplicates: 0 };
+      let invalidRows = 0;
+      let current = null; // sheet being read
+
+      const flush = async () => {
+        const stats = await this.processBatch(codes.splice(0), job, errors.splice(0), io, {
+          file: file.name,
+          sheet: current.name,
+          lastRow: current.lastRow,
+          invalidRows,
+          seen,
+        });
+        invalidRows = 0;
+        this.addStats(totals, stats);
+      };
+
+      for await (const { sheet, number, values } of this.readExcelRows(file)) {
+        // Header row of the next sheet
+        if (!current || current.name !== sheet) {
+          if (codes.length > 0 || invalidRows > 0) {
+            await flush();
+            await this.checkCancelled(job.jobId);
           }
 
-          // Process batch
-          if (codes.length >= this.BATCH_SIZE || i === rows.length - 1) {
-            const stats = await this.processBatch(codes, brandId, productId, job, errors, io, userId);
-            processedCount += stats.processed;
-            successfulCount += stats.successful;
-            failedCount += stats.failed;
-            duplicatesCount += stats.duplicates;
-            codes.length = 0; // Clear batch
+          if (sheet === checkpointSheet) reachedCheckpoint = true;
+          const headers = values.map((header, i) => header || `Column ${i + 1}`);
+
+          current = {
+            name: sheet,
+            headers,
+            skip: !reachedCheckpoint,
+            startAfterRow: sheet === checkpointSheet ? resumeFrom.row : 0,
+            mapping: reachedCheckpoint ? this.resolveMapping(job, headers, requestedMapping) : null,
+          };
+          continue;
+        }
+
+        if (current.skip || number <= current.startAfterRow) continue;
+        current.lastRow = number;
+
+        const row = Object.fromEntries(current.headers.map((header, i) => [header, values[i] ?? null]));
+        const location = { file: file.name, sheet };
+
+        try {
+          const item = this.extractItem(job, row, current.mapping);
+
+          if (!item) {
+            errors.push({ ...this.invalidRow(number, row, current.mapping, 'Empty or missing code'), ...location });
+            invalidRows++;
+          } else {
+            codes.push({ ...item, rowNumber: number, ...location });
           }
         } catch (error) {
-          errors.push({ row: rowNumber, code: '', error: error.message });
-          failedCount++;
+          errors.push({ ...this.invalidRow(number, row, current.mapping, error.message), ...location });
+          invalidRows++;
+        }
+
+        // Process batch
+        if (codes.length >= this.BATCH_SIZE) {
+          await flush();
+          await this.checkCancelled(job.jobId);
         }
       }
 
-      return {
-        processed: processedCount,
-        successful: successfulCount,
-        failed: failedCount,
-        duplicates: duplicatesCount,
-        errors: errors.slice(0, this.MAX_ERRORS),
-      };
+      if (codes.length > 0 || invalidRows > 0) {
+        await flush();
+      }
+
+      return totals;
     } catch (error) {
+      if (error.cancelled || error.permanent) throw error;
       throw new Error(`Excel processing error: ${error.message}`);
     }
   }
 
   /**
-   * Process batch of codes
+   * Resolve the requested sheets and count their data rows
+   * No sheets = the first sheet of the workbook, ['*'] = every sheet.
+   * Names are matched case-insensitively, like Excel does.
    */
-  async processBatch(codes, brandId, productId, job, errors, io, userId) {
+  async countExcelRows(file, requested = []) {
+    const counts = new Map();
+    let first;
+
+    if (file.fileType === 'xls') {
+      const workbook = XLSX.readFile(file.path);
+      for (const name of workbook.SheetNames) {
+        const rows = XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, blankrows: false });
+        counts.set(name, Math.max(rows.length - 1, 0)); // minus the header row
+      }
+      first = workbook.SheetNames[0];
+    } else {
+      const reader = new ExcelJS.stream.xlsx.WorkbookReader(file.path, {
+        sharedStrings: 'ignore',
+        styles: 'ignore',
+        hyperlinks: 'ignore',
+        worksheets: 'emit',
+      });
+
+      for await (const worksheet of reader) {
+        let rows = 0;
+        for await (const row of worksheet) {
+          if (row.hasValues) rows++;
+        }
+        counts.set(worksheet.name, Math.max(rows - 1, 0)); // minus the header row
+      }
+      first = reader.model?.sheets?.[0]?.name;
+    }
+
+    const available = [...counts.keys()];
+    let selected;
+
+    if (!requested || requested.length === 0) {
+      selected = counts.has(first) ? [first] : available.slice(0, 1);
+    } else if (requested.includes('*')) {
+      selected = available;
+    } else {
+      const byName = new Map(available.map((name) => [name.toLowerCase(), name]));
+      const missing = requested.filter((name) => !byName.has(name.toLowerCase()));
+      if (missing.length > 0) {
+        throw this.permanentError(
+          `Sheet not found${file.name ? ` in ${file.name}` : ''}: ${missing.join(', ')} ` +
+          `(workbook sheets: ${available.join(', ')})`
+        );
+      }
+      selected = requested.map((name) => byName.get(name.toLowerCase()));
+    }
+
+    return {
+      sheets: new Set(selected),
+      total: selected.reduce((sum, name) => sum + counts.get(name), 0),
+    };
+  }
+
+  /**
+   * Stream the non-empty rows of the file's selected worksheets (file.sheets)
+   * Yields { sheet, number, values } with `number` the Excel row number and
+   * `values` the cell texts by column.
+   */
+  async *readExcelRows(file) {
+    if (file.fileType === 'xls') {
+      const workbook = XLSX.readFile(file.path, { cellDates: true });
+
+      for (const name of workbook.SheetNames) {
+        if (!file.sheets.has(name)) continue;
+
+        // Keyed by column letter: only object rows carry their row number
+        const rows = XLSX.utils.sheet_to_json(workbook.Sheets[name], {
+          header: 'A',
+          raw: false,
+          defval: null,
+          blankrows: false,
+          dateNF: 'yyyy-mm-dd',
+        });
+        for (const row of rows) {
+          yield { sheet: name, number: row.__rowNum__ + 1, values: Object.values(row) };
+        }
+      }
+      return;
+    }
+
+    const reader = new ExcelJS.stream.xlsx.WorkbookReader(file.path, {
+      sharedStrings: 'cache',
+      styles: 'cache', // needed to tell dates from numbers
+      hyperlinks: 'ignore',
+      worksheets: 'emit',
+    });
+
     try {
+      for await (const worksheet of reader) {
+        if (!file.sheets.has(worksheet.name)) continue;
+
+        for await (const row of worksheet) {
+          if (!row.hasValues) continue;
+
+          yield {
+            sheet: worksheet.name,
+            number: row.number,
+            values: Array.from(row.values.slice(1), (value) => this.excelCellText(value)),
+          };
+        }
+      }
+    } finally {
+      if (reader.stream) reader.stream.destroy();
+    }
+  }
+
+  /**
+   * Text of an Excel cell value (rich text, hyperlinks, formula results, dates)
+   */
+  excelCellText(value) {
+    if (value == null) return null;
+    if (value instanceof Date) return value.toISOString();
+
+    if (typeof value === 'object') {
+      if (value.richText) return value.richText.map((part) => part.text).join('');
+      if (value.text !== undefined) return this.excelCellText(value.text);
+      if (value.result !== undefined) return this.excelCellText(value.result);
+      return null; // error values
+    }
+
+    return String(value);
+  }
+
+  /**
+   * Process batch of codes (or products: `code` is then the auth token)
+   * @param {Array} errors - row errors collected by the reader for this batch
+   * @param {Object} options - { file, sheet, lastRow, invalidRows, seen }
+   * `file`, `sheet` and `lastRow` become the job checkpoint once the batch is committed;
+   * `invalidRows` are rows rejected by the reader since the previous batch;
+   * `seen` (CodeHashSet) holds the codes read so far by this attempt; codes
+   * of rows before the checkpoint are recognised by their importBatch instead.
+   */
+  async processBatch(codes, job, errors, io, { file, sheet, lastRow, invalidRows = 0, seen } = {}) {
+    try {
+      const { model, key, label } = this.jobType(job);
       const codeStrings = codes.map((c) => c.code);
 
       // Check existing codes
-      const existingCodes = await AuthCode.find({
-        code: { $in: codeStrings },
-      }).select('code');
+      const existingCodes = codeStrings.length > 0
+        ? await model.find({ [key]: { $in: codeStrings } }).select(`${key} brand importBatch createdAt`)
+        : [];
+      const existingMap = new Map(existingCodes.map((c) => [c[key], c]));
 
-      const existingSet = new Set(existingCodes.map((c) => c.code));
+      // Codes of this job written after the last checkpoint come from an
+      // interrupted batch; older ones are earlier rows of the same file
+      const checkpointAt = job.checkpoint?.updatedAt;
+      const isRecovered = (existing) => !checkpointAt || existing.createdAt > checkpointAt;
+
+      const seenCodes = seen || new CodeHashSet(codes.length);
+      const brandId = job.brandId.toString();
       const newCodes = [];
-      let duplicatesCount = 0;
+      const newItems = [];
+      const counts = { duplicatesInFile: 0, duplicatesInDb: 0, otherBrand: 0 };
+      let alreadyImportedCount = 0;
+      let wouldImportCount = 0;
 
-      // Filter duplicates
+      const reject = (item, count, error) => {
+        counts[count]++;
+        errors.push({
+          row: item.rowNumber,
+          file: item.file,
+          sheet: item.sheet,
+          code: item.code,
+          reason: REJECT_REASONS[count],
+          error,
+        });
+      };
+
+      // Classify each code
       for (const item of codes) {
-        if (existingSet.has(item.code)) {
-          duplicatesCount++;
-          errors.push({
-            row: item.rowNumber,
-            code: item.code,
-            error: 'Duplicate code',
-          });
-        } else {
-          const codeDoc = {
-            code: item.code,
-            brand: brandId,
-          };
-          
-          // Add productId if provided
-          if (productId) {
-            codeDoc.product = productId;
+        const existing = existingMap.get(item.code);
+
+        // Repeated in the file, whatever the database says about the first one
+        if (!seenCodes.add(item.code)) {
+          reject(item, 'duplicatesInFile', `Duplicate ${label.toLowerCase()} in file`);
+          continue;
+        }
+
+        if (existing) {
+          if (existing.importBatch === job.jobId) {
+            if (isRecovered(existing)) {
+              alreadyImportedCount++;
+            } else {
+              reject(item, 'duplicatesInFile', `Duplicate ${label.toLowerCase()} in file`);
+            }
+          } else if (existing.brand.toString() !== brandId) {
+            reject(item, 'otherBrand', `${label} belongs to another brand`);
+          } else {
+            reject(item, 'duplicatesInDb', `${label} already exists`);
           }
-          
-          newCodes.push(codeDoc);
+        } else if (job.dryRun) {
+          wouldImportCount++;
+        } else {
+          newCodes.push(this.toDocument(job, item));
+          newItems.push(item);
         }
       }
 
@@ -297,36 +1175,70 @@ class BulkUploadService {
       let insertedCount = 0;
       if (newCodes.length > 0) {
         try {
-          const result = await AuthCode.insertMany(newCodes, {
+          const result = await model.insertMany(newCodes, {
             ordered: false, // Continue on duplicate key errors
             writeConcern: { w: 1 },
           });
           insertedCount = result.length;
         } catch (error) {
-          // Handle duplicate key errors from race conditions
-          if (error.code === 11000 && error.writeErrors) {
-            insertedCount = newCodes.length - error.writeErrors.length;
-            duplicatesCount += error.writeErrors.length;
-          } else {
+          // Duplicate key errors: another upload inserted the code since the lookup
+          // (Mongoose re-maps write errors to { err, index })
+          const writeErrors = error.writeErrors || [];
+          const isDuplicateKey = (writeError) => (writeError.code ?? writeError.err?.code) === 11000;
+          if (writeErrors.length === 0 || !writeErrors.every(isDuplicateKey)) {
             throw error;
           }
+
+          insertedCount = newCodes.length - writeErrors.length;
+          const conflicts = writeErrors.map((writeError) => newItems[writeError.index]);
+          const owners = await model.find({ [key]: { $in: conflicts.map((item) => item.code) } })
+            .select(`${key} brand`);
+          const ownerMap = new Map(owners.map((c) => [c[key], c.brand.toString()]));
+
+          for (const item of conflicts) {
+            if (ownerMap.has(item.code) && ownerMap.get(item.code) !== brandId) {
+              reject(item, 'otherBrand', `${label} belongs to another brand`);
+            } else {
+              reject(item, 'duplicatesInDb', `${label} already exists`);
+            }
+          }
         }
       }
 
       // Update job progress
-      const processed = codes.length;
-      const successful = insertedCount;
-      const failed = codes.length - insertedCount - duplicatesCount;
+      const duplicatesCount = counts.duplicatesInFile + counts.duplicatesInDb + counts.otherBrand;
+      const processed = codes.length + invalidRows;
+      const successful = insertedCount + alreadyImportedCount + wouldImportCount;
+      const failed = codes.length - successful - duplicatesCount + invalidRows;
+
+      // Saved together with the progress: every row up to lastRow is committed
+      // (dry runs always start over, so they keep no checkpoint)
+      const batch = (job.checkpoint?.batch || 0) + 1;
+      if (!job.dryRun) {
+        job.checkpoint = {
+          file,
+          sheet,
+          row: lastRow,
+          batch,
+          updatedAt: new Date(),
+        };
+      }
+
+      await this.recordErrors(job, errors, batch);
 
       await job.updateProgress({
         processed: job.progress.processed + processed,
         successful: job.progress.successful + successful,
         failed: job.progress.failed + failed,
         duplicates: job.progress.duplicates + duplicatesCount,
+        invalid: job.progress.invalid + invalidRows,
+        duplicatesInFile: job.progress.duplicatesInFile + counts.duplicatesInFile,
+        duplicatesInDb: job.progress.duplicatesInDb + counts.duplicatesInDb,
+        otherBrand: job.progress.otherBrand + counts.otherBrand,
       });
 
       // Emit progress
-      this.emitProgress(io, userId, job.jobId, job);
+      this.emitProgress(io, job);
 
       return {
         processed,
@@ -340,24 +1252,215 @@ class BulkUploadService {
   }
 
   /**
-   * Extract code from row (try different column names)
+   * Document to insert for a row of the job
    */
-  extractCode(row) {
-    const code =
-      row.code ||
-      row.Code ||
-      row.CODE ||
-      row.auth_code ||
-      row.authCode ||
-      row.AuthCode ||
-      row.authentication_code ||
-      row['Authentication Code'] ||
-      Object.values(row)[0];
+  toDocument(job, item) {
+    // Product rows are mapped to complete documents by csvService
+    if (job.type === 'products') {
+      return item.fields;
+    }
+
+    const codeDoc = {
+      ...item.fields,
+      code: item.code,
+      brand: job.brandId,
+      importBatch: job.jobId,
+    };
 
+    // Add productId if provided
+    if (job.productId) {
+      codeDoc.product = job.productId;
+    }
+
+    return codeDoc;
+  }
+
+  /**
+   * Store rejected rows: all of them for the error report, the first
+   * ones (up to metadata.maxErrors) on the job itself
+   */
+  async recordErrors(job, errors, batch) {
+    if (errors.length === 0) return;
+
+    await BulkUploadError.insertMany(
+      errors.map((e) => ({
+        jobId: job.jobId,
+        row: e.row,
+        file: e.file,
+        sheet: e.sheet,
+        batch,
+        value: e.code,
+        reason: e.reason,
+        error: e.error,
+      })),
+      { ordered: false }
+    );
+
+    const room = (job.metadata.maxErrors || this.MAX_ERRORS) - job.errors.length;
+    if (room > 0) {
+      job.errors.push(...errors.slice(0, room));
+    }
+  }
+
+  /**
+   * Error entry for a row the reader could not take a code from
+   */
+  invalidRow(rowNumber, row, mapping, error) {
+    const value = mapping ? row[mapping.code] : null;
+    return {
+      row: rowNumber,
+      code: value == null ? '' : value.toString().slice(0, 500),
+      reason: 'invalid',
+      error,
+    };
+  }
+
+  /**
+   * Add batch stats to running totals
+   */
+  addStats(totals, stats) {
+    totals.processed += stats.processed;
+    totals.successful += stats.successful;
+    totals.failed += stats.failed;
+    totals.duplicates += stats.duplicates;
+  }
+
+  /**
+   * Column mapping of a file for the job's type
+   * Code uploads record the mapping detected for the first file on the job.
+   * Product columns are found by csvService for every row; only the auth
+   * token column is needed here, to report the value of rejected rows.
+   */
+  resolveMapping(job, headers, requestedMapping) {
+    if (job.type === 'products') {
+      return { code: csvService.findProductColumn(headers, 'authToken') };
+    }
+
+    const mapping = this.resolveColumnMapping(headers, requestedMapping);
+    if (job.columnMapping === requestedMapping) job.columnMapping = mapping;
+    return mapping;
+  }
+
+  /**
+   * Row item ({ code, fields }) for the job's type; see extractRow
+   */
+  extractItem(job, row, mapping) {
+    return job.type === 'products'
+      ? this.extractProductRow(row, job)
+      : this.extractRow(row, mapping);
+  }
+
+  /**
+   * Product document of a row, keyed by its auth token
+   * Rows without an auth token get a generated one. Validated here so a bad
+   * value rejects its row instead of failing the batch insert.
+   */
+  extractProductRow(row, job) {
+    const data = csvService.mapCSVToProduct(row, job.brandId, job.dryRun ? undefined : job.jobId);
+
+    const validationError = new Product(data).validateSync();
+    if (validationError) {
+      throw new Error(Object.values(validationError.errors).map((e) => e.message).join(', '));
+    }
+
+    return { code: data.authToken, fields: data };
+  }
+
+  /**
+   * Match a column mapping against the file's header row
+   * With a mapping every named column must exist. Without one, well-known
+   * header names are recognised; the code column may only be guessed when the
+   * file has a single column. Returns the mapping with the headers as spelled
+   * in the file.
+   */
+  resolveColumnMapping(headers, mapping) {
+    const byName = new Map(headers.map((header) => [normalizeHeader(header), header]));
+    const find = (name) => byName.get(normalizeHeader(name));
+    const resolved = { metadata: [] };
+
+    if (mapping && mapping.code) {
+      for (const field of Object.keys(COLUMN_ALIASES)) {
+        if (!mapping[field]) continue;
+
+        resolved[field] = find(mapping[field]);
+        if (!resolved[field]) {
+          throw this.permanentError(`Column "${mapping[field]}" mapped to ${field} not found in file`);
+        }
+      }
+
+      for (const name of mapping.metadata || []) {
+        const header = find(name);
+        if (!header) {
+          throw this.permanentError(`Metadata column "${name}" not found in file`);
+        }
+        resolved.metadata.push(header);
+      }
+
+      return resolved;
+    }
+
+    for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+      const header = aliases.map(find).find(Boolean);
+      if (header) resolved[field] = header;
+    }
+
+    if (!resolved.code) {
+      if (headers.length !== 1) {
+        throw this.permanentError(
+          `Could not tell which column holds the codes (columns: ${headers.join(', ')}). ` +
+          'Upload again with a column mapping or an import profile.'
+        );
+      }
+      resolved.code = headers[0];
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Code and mapped fields of a row
+   * Returns null when the code cell is empty; throws for invalid values.
+   */
+  extractRow(row, mapping) {
+    const code = this.extractCode(row[mapping.code]);
     if (!code) return null;
 
-    const trimmed = code.toString().trim();
-    
+    const fields = {};
+
+    for (const field of TEXT_FIELDS) {
+      const value = mapping[field] && this.cellText(row[mapping[field]]);
+      if (value) fields[field] = value;
+    }
+
+    const expiry = mapping.expiryDate && this.cellText(row[mapping.expiryDate]);
+    if (expiry) {
+      const date = new Date(expiry);
+      if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid expiry date "${expiry}"`);
+      }
+      fields.expiryDate = date;
+    }
+
+    for (const header of mapping.metadata || []) {
+      const value = this.cellText(row[header]);
+      // Map keys cannot contain dots or start with $
+      if (value) {
+        fields.metadata = fields.metadata || {};
+        fields.metadata[header.replace(/\./g, '_').replace(/^\$/, '_')] = value;
+      }
+    }
+
+    return { code, fields };
+  }
+
+  /**
+   * Validate a raw code cell
+   */
+  extractCode(value) {
+    if (!value) return null;
+
+    const trimmed = value.toString().trim();
+
     // Validate code
     if (trimmed.length < 3 || trimmed.length > 100) {
       throw new Error('Code length must be between 3-100 characters');
@@ -366,15 +1469,36 @@ class BulkUploadService {
     return trimmed;
   }
 
+  cellText(value) {
+    return value == null ? '' : value.toString().trim();
+  }
+
   /**
    * Emit progress to client via Socket.io
+   * While processing, events of a job are throttled to one per
+   * bulkUpload.progressIntervalMs; status changes always go out.
    */
-  emitProgress(io, userId, jobId, job) {
+  emitProgress(io, job, force = false) {
     if (io) {
-      io.to(`user-${userId}`).emit('bulkUploadProgress', {
-        jobId,
+      const now = Date.now();
+      const last = job.$locals.lastProgressEmit;
+      if (
+        !force &&
+        last &&
+        job.status === 'processing' &&
+        last.status === job.status &&
+        now - last.at < config.bulkUpload.progressIntervalMs
+      ) {
+        return;
+      }
+      job.$locals.lastProgressEmit = { at: now, status: job.status };
+
+      io.to(`user-${job.userId}`).emit('bulkUploadProgress', {
+        jobId: job.jobId,
+        type: job.type,
         status: job.status,
         progress: job.progress,
+        checkpoint: job.checkpoint,
         errors: job.errors.slice(0, 10), // Send first 10 errors
       });
     }
@@ -385,7 +1509,7 @@ class BulkUploadService {
    */
   cleanupFile(filePath) {
     try {
-      if (fs.existsSync(filePath)) {
+      if (filePath && fs.existsSync(filePath)) {
         fs.unlinkSync(filePath);
       }
     } catch (error) {
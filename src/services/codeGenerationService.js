@@ -0,0 +1,78 @@
+const { AuthCode } = require('../models');
+const codeGenerator = require('../utils/codeGenerator');
+
+// Schemes must leave this many possible codes per requested code, so
+// random draws rarely hit an existing one
+const MIN_SPACE_PER_CODE = 1000;
+
+// Rounds of re-drawing codes that collided before giving up
+const MAX_ROUNDS = 10;
+
+/**
+ * Problem with generating `count` codes in a resolved scheme, or null
+ */
+const checkScheme = (scheme, count) => {
+  const invalid = codeGenerator.validateScheme(scheme);
+  if (invalid) return invalid;
+
+  if (codeGenerator.capacity(scheme) < count * MIN_SPACE_PER_CODE) {
+    return `A length of ${scheme.length} with ${scheme.alphabet.length} characters is too short ` +
+      `for ${count} unique codes; use a longer length or a larger alphabet`;
+  }
+  return null;
+};
+
+/**
+ * Insert `count` new random codes for a brand
+ * The unique index on AuthCode.code settles collisions, with existing codes
+ * and with generations running at the same time; collided codes are drawn
+ * again until `count` codes were inserted. If that fails, the codes this
+ * call inserted are deleted before the error is thrown.
+ * @param {Object} options - { brandId, productId, scheme, count, importBatch }
+ * @returns {Promise<string[]>} the inserted codes
+ */
+const createCodes = async ({ brandId, productId, scheme, count, importBatch }) => {
+  const created = [];
+
+  for (let round = 0; created.length < count; round++) {
+    if (round === MAX_ROUNDS) {
+      // Remove this call's codes, so a failed generation leaves none behind
+      await AuthCode.deleteMany({ importBatch, code: { $in: created } });
+      throw new Error('Could not generate enough unique codes; use a longer code length');
+    }
+
+    const codes = new Set();
+    while (codes.size < count - created.length) {
+      codes.add(codeGenerator.generateCode(scheme));
+    }
+
+    const docs = [...codes].map((code) => ({
+      code,
+      brand: brandId,
+      product: productId || undefined,
+      importBatch,
+    }));
+
+    try {
+      await AuthCode.insertMany(docs, { ordered: false });
+      created.push(...codes);
+    } catch (error) {
+      // Mongoose re-maps write errors to { err, index }
+      const writeErrors = error.writeErrors || [];
+      const isDuplicateKey = (writeError) => (writeError.code ?? writeError.err?.code) === 11000;
+      if (writeErrors.length === 0 || !writeErrors.every(isDuplicateKey)) {
+        throw error;
+      }
+
+      const collided = new Set(writeErrors.map((writeError) => writeError.index ?? writeError.err?.index));
+      created.push(...docs.filter((_, i) => !collided.has(i)).map((doc) => doc.code));
+    }
+  }
+
+  return created;
+};
+
+module.exports = {
+  checkScheme,
+  createCodes,
+};
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+/**
+ * Built-in transports
+ * A transport is an async function receiving { to, from, subject, text }.
+ */
+const transports = {
+  // Print messages to stdout (development)
+  console: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  },
+
+  // Write each message as a JSON file (local testing / pickup by another process)
+  file: async (message) => {
+    await fs.promises.mkdir(config.mail.fileDir, { recursive: true });
+    const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@._-]/gi, '_')}.json`;
+    await fs.promises.writeFile(
+      path.join(config.mail.fileDir, fileName),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+  },
+};
+
+/**
+ * Register a custom transport (e.g. SMTP, SES) under a name
+ */
+const registerTransport = (name, transport) => {
+  if (typeof transport !== 'function') {
+    throw new Error('Mail transport must be a function');
+  }
+  transports[name] = transport;
+};
+
+/**
+ * Send an email through the configured transport
+ */
+const sendMail = async ({ to, subject, text }) => {
+  const transport = transports[config.mail.transport];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${config.mail.transport}`);
+  }
+
+  await transport({ to, from: config.mail.from, subject, text });
+};
+
+/**
+ * Send password reset instructions
+ */
+const sendPasswordResetEmail = async (user, token) => {
+  const resetUrl = `${config.appUrl}/reset-password?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your Anginat password',
+    text: `Hi ${user.name},\n\nUse the link below to reset your password. It expires in 1 hour.\n\n${resetUrl}\n\nIf you did not request this, you can ignore this email.`,
+  });
+};
+
+/**
+ * Send an invitation to set a password
+ */
+const sendInviteEmail = async (user, token, invitedBy) => {
+  const inviteUrl = `${config.appUrl}/accept-invite?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'You have been invited to Anginat',
+    text: `Hi ${user.name},\n\n${invitedBy.name} invited you to Anginat as ${user.role}. Set your password using the link below. It expires in 7 days.\n\n${inviteUrl}`,
+  });
+};
+
+module.exports = {
+  registerTransport,
+  sendMail,
+  sendPasswordResetEmail,
+  sendInviteEmail,
+};
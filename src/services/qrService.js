@@ -0,0 +1,80 @@
+const QRCode = require('qrcode');
+const AuthCode = require('../models/AuthCode');
+const s3Service = require('../utils/s3Service');
+const signingService = require('./signingService');
+
+const QR_OPTIONS = {
+  errorCorrectionLevel: 'H',
+  type: 'image/png',
+  quality: 0.95,
+  margin: 1,
+  width: 300,
+};
+
+/**
+ * Verification page the QR codes point to (null if not configured)
+ */
+const frontendUrl = () => process.env.FRONTEND_BASE_URL || null;
+
+/**
+ * Verification URLs encoded in the QR images of a brand's codes, signed with
+ * the brand's active signing key if it has one
+ * @param {string} brandId
+ * @param {string[]} codes
+ * @returns {Promise<string[]>} one URL per code
+ */
+const buildQrData = async (brandId, codes) => {
+  const signed = await signingService.signCodes(brandId, codes);
+
+  return codes.map((code, i) => {
+    const qrData = `${frontendUrl()}?code=${encodeURIComponent(code)}`;
+    return signed ? `${qrData}&kid=${signed.kid}&sig=${signed.signatures[i]}` : qrData;
+  });
+};
+
+/**
+ * Render a QR image, upload it to S3 and store its URL on the code
+ * The image the code had before is deleted from S3.
+ * @param {Object} authCode - { _id, code, qrCodeUrl }
+ * @param {string} qrData - from buildQrData
+ * @returns {Promise<string>} S3 URL of the new image
+ */
+const storeQrCode = async (authCode, qrData) => {
+  const qrBuffer = await QRCode.toBuffer(qrData, QR_OPTIONS);
+
+  const fileName = `${authCode.code}-${Date.now()}.png`;
+  const qrCodeUrl = await s3Service.uploadBuffer(qrBuffer, fileName, 'image/png');
+
+  await AuthCode.updateOne({ _id: authCode._id }, { qrCodeUrl });
+
+  if (authCode.qrCodeUrl) {
+    try {
+      await s3Service.deleteFile(authCode.qrCodeUrl);
+    } catch (error) {
+      console.error('Error deleting old QR code:', error);
+      // Continue anyway
+    }
+  }
+
+  return qrCodeUrl;
+};
+
+/**
+ * Generate (or replace) the QR image of one code
+ * @param {Object} authCode - with its brand (id or populated)
+ * @returns {Promise<Object>} { qrCodeUrl, qrData }
+ */
+const generateForCode = async (authCode) => {
+  const [qrData] = await buildQrData(authCode.brand._id || authCode.brand, [authCode.code]);
+  const qrCodeUrl = await storeQrCode(authCode, qrData);
+
+  authCode.qrCodeUrl = qrCodeUrl;
+  return { qrCodeUrl, qrData };
+};
+
+module.exports = {
+  frontendUrl,
+  buildQrData,
+  storeQrCode,
+  generateForCode,
+};
@@ -0,0 +1,113 @@
+const Queue = require('bull');
+const config = require('../config');
+
+const BULK_UPLOAD_QUEUE = 'bulk-upload';
+
+let bulkUploadQueue;
+
+/**
+ * Get the shared bulk upload queue
+ * Created lazily so requiring this module does not open a Redis connection
+ */
+const getBulkUploadQueue = () => {
+  if (!bulkUploadQueue) {
+    bulkUploadQueue = new Queue(BULK_UPLOAD_QUEUE, config.redisUrl, {
+      defaultJobOptions: {
+        attempts: config.bulkUpload.attempts,
+        backoff: { type: 'exponential', delay: config.bulkUpload.backoffMs },
+        removeOnComplete: 1000,
+        removeOnFail: 1000,
+      },
+      settings: {
+        // Large files keep a job busy for minutes; don't treat that as stalled
+        lockDuration: config.bulkUpload.lockDurationMs,
+        maxStalledCount: 2,
+      },
+    });
+
+    bulkUploadQueue.on('error', (error) => {
+      console.error('Bulk upload queue error:', error.message);
+    });
+  }
+
+  return bulkUploadQueue;
+};
+
+/**
+ * Enqueue a bulk upload
+ * The BulkUploadJob jobId doubles as the Bull job id, so adding the same
+ * upload twice is a no-op. Everything else is read from the BulkUploadJob.
+ * @param {Object} data - { jobId, userId }
+ */
+const enqueueBulkUpload = (data) => {
+  return getBulkUploadQueue().add(data, { jobId: data.jobId });
+};
+
+/**
+ * Remove an upload that is not running (waiting, or delayed for a retry)
+ * Returns false if a worker is processing it
+ */
+const removeQueuedBulkUpload = async (jobId) => {
+  const bullJob = await getBulkUploadQueue().getJob(jobId);
+  if (!bullJob) return true;
+  if (await bullJob.isActive()) return false;
+
+  await bullJob.remove();
+  return true;
+};
+
+/**
+ * Bull state of an upload (waiting, active, delayed, completed, failed,
+ * paused), or null if the queue no longer has it
+ */
+const getBulkUploadState = async (jobId) => {
+  const bullJob = await getBulkUploadQueue().getJob(jobId);
+  return bullJob ? bullJob.getState() : null;
+};
+
+/**
+ * Socket.io-like emitter for the worker process
+ * `to(room).emit(event, payload)` is published as Bull job progress and
+ * re-emitted to sockets by the web process (see relayProgressToSockets).
+ */
+const createProgressRelay = (bullJob) => ({
+  to: (room) => ({
+    emit: (event, payload) => {
+      bullJob.progress({ room, event, payload }).catch((error) => {
+        console.error('Progress relay error:', error.message);
+      });
+    },
+  }),
+});
+
+/**
+ * Forward worker progress events to connected sockets (web process)
+ */
+const relayProgressToSockets = (io) => {
+  getBulkUploadQueue().on('global:progress', (jobId, progress) => {
+    if (progress && progress.room && progress.event) {
+      io.to(progress.room).emit(progress.event, progress.payload);
+    }
+  });
+};
+
+/**
+ * Close the queue connection (graceful shutdown)
+ */
+const closeQueues = async () => {
+  if (bulkUploadQueue) {
+    await bulkUploadQueue.close();
+    bulkUploadQueue = null;
+  }
+};
+
+module.exports = {
+  BULK_UPLOAD_QUEUE,
+  getBulkUploadQueue,
+  enqueueBulkUpload,
+  removeQueuedBulkUpload,
+  getBulkUploadState,
+  createProgressRelay,
+  relayProgressToSockets,
+  closeQueues,
+};
@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { SigningKey } = require('../models');
+
+// Keys are looked up on every signed scan; keep them in memory for a while
+// (a revocation on another instance takes effect within this time)
+const KEY_CACHE_TTL_MS = 60 * 1000;
+const keyCache = new Map();
+// Same for the date each brand started signing (by brand id)
+const brandCache = new Map();
+
+const encryptionKey = () => crypto.createHash('sha256').update(config.signingKeySecret).digest();
+
+/**
+ * Encrypt key material for storage (AES-256-GCM, "iv.tag.ciphertext")
+ */
+const encryptSecret = (plain) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(plain), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64url')).join('.');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split('.').map((part) => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]);
+};
+
+/**
+ * Signed message: the key id is part of it, so a signature cannot be
+ * replayed under another key
+ */
+const message = (kid, code) => Buffer.from(`${kid}.${code}`, 'utf8');
+
+/**
+ * Create a new active signing key for a brand, retiring the current one
+ * @returns {Promise<Object>} { signingKey, secret } - `secret` is the HMAC
+ * secret (base64url), only returned here; null for Ed25519 keys
+ */
+const createKey = async (brandId, algorithm, userId) => {
+  let publicKey;
+  let material;
+
+  if (algorithm === 'ed25519') {
+    const pair = crypto.generateKeyPairSync('ed25519');
+    publicKey = pair.publicKey.export({ format: 'jwk' }).x;
+    material = pair.privateKey.export({ format: 'der', type: 'pkcs8' });
+  } else {
+    material = crypto.randomBytes(32);
+  }
+
+  await SigningKey.updateMany(
+    { brand: brandId, status: 'active' },
+    { status: 'retired', retiredAt: new Date() }
+  );
+
+  const signingKey = await SigningKey.create({
+    brand: brandId,
+    kid: SigningKey.generateKid(),
+    algorithm,
+    publicKey,
+    secret: encryptSecret(material),
+    createdBy: userId,
+  });
+  brandCache.delete(brandId.toString());
+
+  return {
+    signingKey,
+    secret: algorithm === 'ed25519' ? null : material.toString('base64url'),
+  };
+};
+
+/**
+ * Revoke a key: codes it signed fail verification from now on
+ */
+const revokeKey = async (signingKey, userId) => {
+  signingKey.status = 'revoked';
+  signingKey.revokedAt = new Date();
+  signingKey.revokedBy = userId;
+  await signingKey.save();
+  keyCache.delete(signingKey.kid);
+  brandCache.delete(signingKey.brand.toString());
+  return signingKey;
+};
+
+/**
+ * Signing key with its decrypted material, from the cache or the database
+ * @returns {Promise<Object|null>} { kid, brand, algorithm, status, key, publicKey }
+ */
+const loadKey = async (kid) => {
+  const cached = keyCache.get(kid);
+  if (cached && cached.expiresAt > Date.now()) return cached.value;
+
+  // Unknown kids are not cached: they come from clients and are unbounded
+  const signingKey = await SigningKey.findOne({ kid }).select('+secret').lean();
+  if (!signingKey) return null;
+
+  const material = decryptSecret(signingKey.secret);
+  const key = signingKey.algorithm === 'ed25519'
+    ? crypto.createPrivateKey({ key: material, format: 'der', type: 'pkcs8' })
+    : material;
+
+  const value = {
+    kid: signingKey.kid,
+    brand: signingKey.brand,
+    algorithm: signingKey.algorithm,
+    status: signingKey.status,
+    key,
+    publicKey: signingKey.algorithm === 'ed25519' ? crypto.createPublicKey(key) : null,
+  };
+
+  keyCache.set(kid, { value, expiresAt: Date.now() + KEY_CACHE_TTL_MS });
+  return value;
+};
+
+const sign = (key, code) => {
+  const data = message(key.kid, code);
+  const signature = key.algorithm === 'ed25519'
+    ? crypto.sign(null, data, key.key)
+    : crypto.createHmac('sha256', key.key).update(data).digest();
+  return signature.toString('base64url');
+};
+
+/**
+ * Sign codes with the brand's active key
+ * @returns {Promise<Object|null>} { kid, algorithm, signatures } with one
+ * signature per code, or null if the brand has no active signing key
+ */
+const signCodes = async (brandId, codes) => {
+  const active = await SigningKey.findOne({ brand: brandId, status: 'active' }).select('kid');
+  if (!active) return null;
+
+  const key = await loadKey(active.kid);
+  if (!key || key.status !== 'active') return null;
+
+  return {
+    kid: key.kid,
+    algorithm: key.algorithm,
+    signatures: codes.map((code) => sign(key, code)),
+  };
+};
+
+/**
+ * Check a code's signature
+ * Retired keys still verify; unknown and revoked keys do not. The caller
+ * must check that the code belongs to the returned brand.
+ * @returns {Promise<string|null>} id of the brand whose key signed the code,
+ * or null if the signature does not verify
+ */
+const verifySignature = async (code, kid, signature) => {
+  const key = await loadKey(kid);
+  if (!key || key.status === 'revoked') return null;
+
+  const provided = Buffer.from(signature, 'base64url');
+  const data = message(kid, code);
+  let valid;
+
+  if (key.algorithm === 'ed25519') {
+    valid = provided.length === 64 && crypto.verify(null, data, key.publicKey, provided);
+  } else {
+    const expected = crypto.createHmac('sha256', key.key).update(data).digest();
+    valid = provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+  }
+
+  return valid ? key.brand.toString() : null;
+};
+
+/**
+ * When a brand's first signing key that still verifies was created
+ * Codes created from then on are printed with a signature.
+ * @returns {Promise<Date|null>} null if the brand has no active or retired key
+ */
+const signedSince = async (brandId) => {
+  const id = brandId.toString();
+  const cached = brandCache.get(id);
+  if (cached && cached.expiresAt > Date.now()) return cached.value;
+
+  const first = await SigningKey.findOne({ brand: id, status: { $in: ['active', 'retired'] } })
+    .sort('createdAt')
+    .select('createdAt')
+    .lean();
+  const value = first ? first.createdAt : null;
+
+  brandCache.set(id, { value, expiresAt: Date.now() + KEY_CACHE_TTL_MS });
+  return value;
+};
+
+/**
+ * Public key of an Ed25519 signing key as SPKI PEM
+ */
+const publicKeyPem = (signingKey) => {
+  return crypto
+    .createPublicKey({ key: { kty: 'OKP', crv: 'Ed25519', x: signingKey.publicKey }, format: 'jwk' })
+    .export({ format: 'pem', type: 'spki' });
+};
+
+module.exports = {
+  createKey,
+  revokeKey,
+  signCodes,
+  verifySignature,
+  signedSince,
+  publicKeyPem,
+};
@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const { RefreshToken, RevokedToken } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { generateToken } = require('../middleware/auth');
+const { getClientIp } = require('../utils/clientData');
+
+/**
+ * Hash an opaque refresh token for storage / lookup
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Create and store a refresh token
+ */
+const createRefreshToken = async (userId, family, req) => {
+  const token = crypto.randomBytes(40).toString('base64url');
+  const tokenHash = hashToken(token);
+
+  await RefreshToken.create({
+    user: userId,
+    tokenHash,
+    family,
+    expiresAt: new Date(Date.now() + config.refreshTokenExpiresInDays * 24 * 60 * 60 * 1000),
+    createdByIp: req ? getClientIp(req) : undefined,
+    userAgent: req?.headers['user-agent'],
+  });
+
+  return { token, tokenHash };
+};
+
+/**
+ * Issue an access token and a new refresh token family (login / register)
+ */
+const issueTokens = async (userId, req) => {
+  const { token: refreshToken } = await createRefreshToken(userId, crypto.randomUUID(), req);
+
+  return {
+    token: generateToken(userId),
+    refreshToken,
+    expiresIn: config.jwtExpiresIn,
+  };
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ * The presented token is revoked; presenting an already rotated token
+ * is treated as theft and revokes the whole family. The token is claimed
+ * with a single update, so of two concurrent refreshes only one succeeds
+ * and the other counts as reuse. The successor is stored before the claim,
+ * so revoking the family on reuse always catches it.
+ */
+const rotateRefreshToken = async (presentedToken, req) => {
+  const presentedHash = hashToken(presentedToken);
+  const existing = await RefreshToken.findOne({ tokenHash: presentedHash });
+
+  if (!existing) {
+    throw new AppError('Invalid refresh token. Please log in again.', 401);
+  }
+
+  if (existing.revokedAt) {
+    await revokeFamily(existing.family);
+    throw new AppError('Refresh token has been revoked. Please log in again.', 401);
+  }
+
+  if (!existing.isUsable()) {
+    throw new AppError('Refresh token has expired. Please log in again.', 401);
+  }
+
+  const { token: refreshToken, tokenHash } = await createRefreshToken(existing.user, existing.family, req);
+  const now = new Date();
+
+  const stored = await RefreshToken.findOneAndUpdate(
+    { tokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { revokedAt: now, replacedBy: tokenHash } }
+  );
+
+  // Rotated by a concurrent request in the meantime: reuse
+  if (!stored) {
+    await RefreshToken.deleteOne({ tokenHash });
+    await revokeFamily(existing.family);
+    throw new AppError('Refresh token has been revoked. Please log in again.', 401);
+  }
+
+  return {
+    userId: stored.user,
+    token: generateToken(stored.user),
+    refreshToken,
+    expiresIn: config.jwtExpiresIn,
+  };
+};
+
+/**
+ * Revoke every refresh token in a family
+ */
+const revokeFamily = async (family) => {
+  await RefreshToken.updateMany(
+    { family, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+/**
+ * Revoke a refresh token (and the rest of its family)
+ */
+const revokeRefreshToken = async (presentedToken, userId) => {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(presentedToken), user: userId });
+  if (stored) {
+    await revokeFamily(stored.family);
+  }
+};
+
+/**
+ * Add an access token to the revocation list until it expires
+ */
+const revokeAccessToken = async (decoded, reason = 'logout') => {
+  if (!decoded?.jti) return;
+
+  await RevokedToken.updateOne(
+    { jti: decoded.jti },
+    {
+      $setOnInsert: {
+        jti: decoded.jti,
+        user: decoded.id,
+        reason,
+        expiresAt: new Date(decoded.exp * 1000),
+      },
+    },
+    { upsert: true }
+  );
+};
+
+/**
+ * Revoke all refresh tokens of a user (e.g. deactivation, password change)
+ */
+const revokeAllForUser = async (userId) => {
+  await RefreshToken.updateMany(
+    { user: userId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+/**
+ * Decode a bearer token without re-verifying (token was verified by protect)
+ */
+const decodeAccessToken = (token) => jwt.decode(token);
+
+module.exports = {
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAccessToken,
+  revokeAllForUser,
+  decodeAccessToken,
+};
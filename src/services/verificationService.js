@@ -1,4 +1,6 @@
-const { Product, Brand, ScanLog } = require('../models');
+const { AuthCode, Product, Brand, ScanLog } = require('../models');
+const codeGenerator = require('../utils/codeGenerator');
+const signingService = require('./signingService');
 
 /**
  * Verification result statuses
@@ -10,8 +12,23 @@ const VerificationStatus = {
   NOT_FOUND: 'not_found',
   REVOKED: 'revoked',
   EXPIRED: 'expired',
+  // Fits a brand's code scheme but fails its check digit (not logged)
+  MISTYPED: 'mistyped',
+  // Carries a code signature that does not verify, or lacks the signature
+  // its brand prints with the code (not logged)
+  INVALID_SIGNATURE: 'invalid_signature',
 };
 
+/**
+ * Where a verified code was resolved from
+ */
+const VerificationSource = {
+  CODE: 'code', // AuthCode collection (codes upload)
+  PRODUCT: 'product', // Product.authToken (products upload)
+};
+
+const BRAND_PUBLIC_FIELDS = 'name logo description website contactEmail contactPhone settings status';
+
 /**
  * Verify a product by auth token
  */
@@ -19,7 +36,8 @@ const verifyProduct = async (authToken, clientData = {}) => {
   const startTime = Date.now();
   
   // Find product by auth token
-  const product = await Product.findOne({ authToken }).populate('brand', 'name logo settings status');
+  const product = await Product.findOne({ authToken })
+    .populate('brand', BRAND_PUBLIC_FIELDS);
   
   // Product not found
   if (!product) {
@@ -34,6 +52,7 @@ const verifyProduct = async (authToken, clientData = {}) => {
       status: VerificationStatus.NOT_FOUND,
       message: 'This product code was not found in our system. It may be counterfeit.',
       isAuthentic: false,
+      source: null,
     };
   }
   
@@ -43,6 +62,7 @@ const verifyProduct = async (authToken, clientData = {}) => {
       status: VerificationStatus.NOT_FOUND,
       message: 'This product code is not currently verifiable.',
       isAuthentic: false,
+      source: null,
     };
   }
   
@@ -51,6 +71,7 @@ const verifyProduct = async (authToken, clientData = {}) => {
     await logScan({
       authToken,
       product,
+      source: VerificationSource.PRODUCT,
       result: VerificationStatus.REVOKED,
       clientData,
       responseTimeMs: Date.now() - startTime,
@@ -60,6 +81,7 @@ const verifyProduct = async (authToken, clientData = {}) => {
       status: VerificationStatus.REVOKED,
       message: product.brand.settings?.notFoundMessage || 'This product code has been revoked and is no longer valid.',
       isAuthentic: false,
+      source: VerificationSource.PRODUCT,
       brand: {
         name: product.brand.name,
         logo: product.brand.logo,
@@ -72,6 +94,7 @@ const verifyProduct = async (authToken, clientData = {}) => {
     await logScan({
       authToken,
       product,
+      source: VerificationSource.PRODUCT,
       result: VerificationStatus.EXPIRED,
       clientData,
       responseTimeMs: Date.now() - startTime,
@@ -81,6 +104,7 @@ const verifyProduct = async (authToken, clientData = {}) => {
       status: VerificationStatus.EXPIRED,
       message: 'This product has expired.',
       isAuthentic: true, // Product is authentic but expired
+      source: VerificationSource.PRODUCT,
       brand: formatBrandInfo(product.brand),
       product: formatProductInfo(product),
     };
@@ -98,33 +122,17 @@ const verifyProduct = async (authToken, clientData = {}) => {
   });
   
   // Determine result
-  let status;
-  let message;
-  let isAuthentic = true;
-  
-  if (suspiciousFlags.length > 0) {
-    status = VerificationStatus.SUSPICIOUS;
-    message = 'This product has been flagged for suspicious activity. Please verify through other means.';
-    isAuthentic = false;
-  } else if (isFirstScan) {
-    status = VerificationStatus.GENUINE;
-    message = product.brand.settings?.genuineMessage || 'This product is genuine and verified.';
-  } else {
-    status = VerificationStatus.ALREADY_VERIFIED;
-    message = product.brand.settings?.alreadyVerifiedMessage || 
-      'This product has been previously verified. Please ensure you purchased from an authorized seller.';
-    
-    // Check if scan count exceeds warning threshold
-    if (product.brand.settings?.enableScanLimit && 
-        product.scanCount > product.brand.settings?.maxScansBeforeWarning) {
-      isAuthentic = false;
-    }
-  }
+  const { status, message, isAuthentic } = determineScanResult(product.brand, {
+    isFirstScan,
+    scanCount: product.scanCount,
+    flags: suspiciousFlags,
+  });
   
   // Log the scan
   await logScan({
     authToken,
     product,
+    source: VerificationSource.PRODUCT,
     result: status,
     isFirstScan,
     scanNumber: product.scanCount,
@@ -134,18 +142,13 @@ const verifyProduct = async (authToken, clientData = {}) => {
   });
   
   // Update brand stats
-  await Brand.findByIdAndUpdate(product.brand._id, {
-    $inc: {
-      'stats.totalScans': 1,
-      'stats.genuineScans': status === VerificationStatus.GENUINE ? 1 : 0,
-      'stats.suspiciousScans': status === VerificationStatus.SUSPICIOUS ? 1 : 0,
-    },
-  });
+  await updateBrandStats(product.brand._id, status);
   
   return {
     status,
     message,
     isAuthentic,
+    source: VerificationSource.PRODUCT,
     brand: formatBrandInfo(product.brand),
     product: formatProductInfo(product),
     scanInfo: {
@@ -157,14 +160,324 @@ const verifyProduct = async (authToken, clientData = {}) => {
   };
 };
 
+/**
+ * Signature problem of a code, or null
+ * `signedBrand` is the brand whose key signed the request's signature (see
+ * signingService.verifySignature); it must be the code's brand. Brands with
+ * settings.requireSignature also need a signature for the codes they
+ * created once they had a signing key.
+ * @returns {Promise<string|null>} 'invalid' or 'missing'
+ */
+const checkSignature = async (authCode, signedBrand) => {
+  const { brand } = authCode;
+  if (signedBrand) return signedBrand === brand._id.toString() ? null : 'invalid';
+  if (!brand.settings?.requireSignature) return null;
+
+  const since = await signingService.signedSince(brand._id);
+  return since && authCode.createdAt >= since ? 'missing' : null;
+};
+
+/**
+ * Verify an AuthCode document (codes upload flow)
+ * Follows the AuthCode.product link when present so revocation and expiry
+ * set on the product apply to the printed code as well.
+ * @param {Object} options - { signedBrand } for requests with a valid signature
+ */
+const verifyAuthCode = async (authCode, clientData = {}, { signedBrand } = {}) => {
+  const startTime = Date.now();
+  const { brand, product } = authCode;
+  const scanContext = {
+    authToken: authCode.code,
+    authCode,
+    brand,
+    product,
+    source: VerificationSource.CODE,
+    clientData,
+  };
+
+  // Brand is not active
+  if (!brand || brand.status !== 'active') {
+    return {
+      status: VerificationStatus.NOT_FOUND,
+      message: 'This code is not valid. Product may be counterfeit.',
+      isAuthentic: false,
+      source: null,
+    };
+  }
+
+  const signatureProblem = await checkSignature(authCode, signedBrand);
+  if (signatureProblem) {
+    return {
+      status: VerificationStatus.INVALID_SIGNATURE,
+      message: signatureProblem === 'missing'
+        ? 'This code must be verified by scanning its QR code.'
+        : 'This code\'s signature is not valid. The product may be counterfeit.',
+      isAuthentic: false,
+      source: null,
+      signature: signatureProblem,
+    };
+  }
+
+  // Linked product is revoked
+  if (product && product.status === 'revoked') {
+    await logScan({
+      ...scanContext,
+      result: VerificationStatus.REVOKED,
+      responseTimeMs: Date.now() - startTime,
+    });
+
+    return {
+      status: VerificationStatus.REVOKED,
+      message: brand.settings?.notFoundMessage || 'This product code has been revoked and is no longer valid.',
+      isAuthentic: false,
+      source: VerificationSource.CODE,
+      brand: {
+        name: brand.name,
+        logo: brand.logo,
+      },
+    };
+  }
+
+  // Code (or its linked product) is expired
+  const expiryDate = authCode.expiryDate || product?.expiryDate;
+  if (expiryDate && new Date(expiryDate) < new Date()) {
+    await logScan({
+      ...scanContext,
+      result: VerificationStatus.EXPIRED,
+      responseTimeMs: Date.now() - startTime,
+    });
+
+    return {
+      status: VerificationStatus.EXPIRED,
+      message: 'This product has expired.',
+      isAuthentic: true, // Product is authentic but expired
+      source: VerificationSource.CODE,
+      brand: formatBrandInfo(brand),
+      product: formatCodeProductInfo(authCode, product),
+    };
+  }
+
+  // Check for suspicious activity
+  const suspiciousFlags = await ScanLog.checkSuspiciousActivity(authCode.code, clientData);
+
+  // Record the scan (atomic, so concurrent first scans get one genuine result)
+  const isFirstScan = await authCode.recordScan();
+
+  // Deleted since it was looked up
+  if (isFirstScan === null) {
+    await logScan({
+      authToken: authCode.code,
+      result: VerificationStatus.NOT_FOUND,
+      clientData,
+      responseTimeMs: Date.now() - startTime,
+    });
+
+    return {
+      status: VerificationStatus.NOT_FOUND,
+      message: 'This code is not valid. Product may be counterfeit.',
+      isAuthentic: false,
+      source: null,
+    };
+  }
+
+  const { status, message, isAuthentic } = determineScanResult(brand, {
+    isFirstScan,
+    scanCount: authCode.verifyCount,
+    flags: suspiciousFlags,
+  });
+
+  await logScan({
+    ...scanContext,
+    result: status,
+    isFirstScan,
+    scanNumber: authCode.verifyCount,
+    flags: suspiciousFlags,
+    responseTimeMs: Date.now() - startTime,
+  });
+
+  await updateBrandStats(brand._id, status);
+
+  return {
+    status,
+    message,
+    isAuthentic,
+    source: VerificationSource.CODE,
+    brand: formatBrandInfo(brand),
+    product: formatCodeProductInfo(authCode, product),
+    scanInfo: {
+      isFirstScan,
+      totalScans: authCode.verifyCount,
+      firstScannedAt: authCode.firstVerifiedAt,
+    },
+    warnings: suspiciousFlags.length > 0 ? suspiciousFlags : undefined,
+  };
+};
+
+/**
+ * Verify any printed code
+ * Looks up the AuthCode collection first, then Product.authToken, so both
+ * onboarding flows return the same response schema. Input found in neither
+ * is read against the brands' code schemes to forgive typing slips; only
+ * input that could be a real code is logged as not_found.
+ * @param {Object} options - { signedBrand }, see verifyAuthCode
+ */
+const verifyCode = async (code, clientData = {}, options = {}) => {
+  const authCode = await findActiveCode(code);
+  if (authCode) {
+    return verifyAuthCode(authCode, clientData, options);
+  }
+
+  if (!(await Product.exists({ authToken: code }))) {
+    const { match, mistyped } = await matchCodeSchemes(code);
+
+    if (match) {
+      return verifyAuthCode(match, clientData, options);
+    }
+
+    if (mistyped) {
+      return {
+        status: VerificationStatus.MISTYPED,
+        message: 'This code does not look right. Please check it for typos and try again.',
+        isAuthentic: false,
+        source: null,
+      };
+    }
+  }
+
+  return verifyProduct(code, clientData);
+};
+
+const findActiveCode = (code) => AuthCode.findOne({ code, status: 'active' })
+  .populate('brand', BRAND_PUBLIC_FIELDS)
+  .populate('product');
+
+// Schemes are read on every scan of an unknown code; keep them in memory for
+// a while (a scheme change takes effect within this time)
+const SCHEME_CACHE_TTL_MS = 60 * 1000;
+let schemeCache = null;
+
+/**
+ * Distinct code schemes of the active brands, plus the default scheme that
+ * codes of brands without a codeScheme are generated in
+ */
+const loadCodeSchemes = async () => {
+  if (schemeCache && schemeCache.expiresAt > Date.now()) return schemeCache.schemes;
+
+  const groups = await Brand.aggregate([
+    { $match: { status: 'active', codeScheme: { $exists: true } } },
+    { $group: { _id: '$codeScheme' } },
+  ]);
+
+  const schemes = new Map();
+  for (const codeScheme of [{}, ...groups.map((group) => group._id)]) {
+    const scheme = codeGenerator.resolveScheme(codeScheme);
+    schemes.set(JSON.stringify(scheme), scheme);
+  }
+
+  schemeCache = { schemes: [...schemes.values()], expiresAt: Date.now() + SCHEME_CACHE_TTL_MS };
+  return schemeCache.schemes;
+};
+
+/**
+ * Read input as a code of each active brand's code scheme
+ * Returns the AuthCode of a well-formed reading (`match`), or `mistyped` when
+ * the input fits some scheme's shape but fails its check digit and no
+ * reading passes it.
+ */
+const matchCodeSchemes = async (input) => {
+  const schemes = await loadCodeSchemes();
+
+  const candidates = new Set();
+  let mistyped = false;
+  for (const scheme of schemes) {
+    const parsed = codeGenerator.parseCode(input, scheme);
+    if (!parsed) continue;
+
+    if (parsed.checkValid) {
+      candidates.add(parsed.code);
+    } else {
+      mistyped = true;
+    }
+  }
+
+  for (const candidate of candidates) {
+    // The input as typed was looked up already
+    const match = candidate !== input && await findActiveCode(candidate);
+    if (match) return { match };
+  }
+
+  return { mistyped: mistyped && candidates.size === 0 };
+};
+
+/**
+ * Determine the verdict for a scan of a known, active code
+ */
+const determineScanResult = (brand, { isFirstScan, scanCount, flags }) => {
+  const settings = brand.settings || {};
+
+  if (flags.length > 0) {
+    return {
+      status: VerificationStatus.SUSPICIOUS,
+      message: 'This product has been flagged for suspicious activity. Please verify through other means.',
+      isAuthentic: false,
+    };
+  }
+
+  if (isFirstScan) {
+    return {
+      status: VerificationStatus.GENUINE,
+      message: settings.genuineMessage || 'This product is genuine and verified.',
+      isAuthentic: true,
+    };
+  }
+
+  // Check if scan count exceeds warning threshold
+  const exceedsScanLimit = Boolean(settings.enableScanLimit) &&
+    scanCount > settings.maxScansBeforeWarning;
+
+  return {
+    status: VerificationStatus.ALREADY_VERIFIED,
+    message: settings.alreadyVerifiedMessage ||
+      'This product has been previously verified. Please ensure you purchased from an authorized seller.',
+    isAuthentic: !exceedsScanLimit,
+  };
+};
+
+/**
+ * Update brand scan statistics
+ */
+const updateBrandStats = async (brandId, status) => {
+  await Brand.findByIdAndUpdate(brandId, {
+    $inc: {
+      'stats.totalScans': 1,
+      'stats.genuineScans': status === VerificationStatus.GENUINE ? 1 : 0,
+      'stats.suspiciousScans': status === VerificationStatus.SUSPICIOUS ? 1 : 0,
+    },
+  });
+};
+
 /**
  * Log a scan attempt
  */
-const logScan = async ({ authToken, product, result, isFirstScan, scanNumber, flags, clientData, responseTimeMs }) => {
+const logScan = async ({
+  authToken,
+  authCode,
+  product,
+  brand,
+  source,
+  result,
+  isFirstScan,
+  scanNumber,
+  flags,
+  clientData,
+  responseTimeMs,
+}) => {
   try {
     await ScanLog.create({
       product: product?._id,
-      brand: product?.brand?._id || product?.brand,
+      authCode: authCode?._id,
+      brand: brand?._id || brand || product?.brand?._id || product?.brand,
+      source,
       authToken,
       result,
       isFirstScan: isFirstScan || false,
@@ -191,8 +504,10 @@ const formatBrandInfo = (brand) => {
   return {
     name: brand.name,
     logo: brand.logo,
+    description: brand.description,
     website: brand.website,
     contactEmail: brand.contactEmail,
+    contactPhone: brand.contactPhone,
   };
 };
 
@@ -214,15 +529,49 @@ const formatProductInfo = (product) => {
   };
 };
 
+/**
+ * Format product info for an AuthCode
+ * Details uploaded with the code (batch, serial, expiry, ...) take precedence
+ * over those of the linked product.
+ */
+const formatCodeProductInfo = (authCode, product) => {
+  const info = formatProductInfo(product) || {};
+
+  for (const field of ['sku', 'batchNumber', 'serialNumber', 'expiryDate']) {
+    if (authCode[field]) info[field] = authCode[field];
+  }
+  if (authCode.metadata && authCode.metadata.size > 0) {
+    info.metadata = {
+      ...Object.fromEntries(product?.metadata || []),
+      ...Object.fromEntries(authCode.metadata),
+    };
+  }
+
+  return Object.keys(info).length > 0 ? info : null;
+};
+
 /**
  * Get verification stats for a brand
+ * filters: { startDate, endDate, granularity, product, batchNumber, sku, result }
  */
-const getVerificationStats = async (brandId, startDate, endDate) => {
-  return await ScanLog.getAnalytics(brandId, startDate, endDate);
+const getVerificationStats = async (brandId, filters = {}) => {
+  const { startDate, endDate, granularity, product, batchNumber, sku, result } = filters;
+  
+  return await ScanLog.getAnalytics(brandId, {
+    startDate,
+    endDate,
+    granularity,
+    product,
+    batchNumber,
+    sku,
+    result,
+  });
 };
 
 module.exports = {
   VerificationStatus,
+  VerificationSource,
+  verifyCode,
   verifyProduct,
   getVerificationStats,
 };
@@ -0,0 +1,94 @@
+/**
+ * Extract client information from a request for scan logging
+ */
+
+/**
+ * Get the originating client IP
+ * Express resolves X-Forwarded-For into req.ip only for the proxies trusted
+ * through TRUST_PROXY, so clients cannot spoof their address with the header.
+ */
+const getClientIp = (req) => req.ip || req.socket?.remoteAddress;
+
+/**
+ * Parse a user agent string into basic device info
+ */
+const parseDevice = (userAgent) => {
+  if (!userAgent) return undefined;
+
+  const isBot = /bot|crawler|spider|curl|wget|python|postman/i.test(userAgent);
+  const isTablet = /iPad|Tablet/i.test(userAgent) || (/Android/i.test(userAgent) && !/Mobile/i.test(userAgent));
+  const isMobile = !isTablet && /Mobi|iPhone|iPod|Android/i.test(userAgent);
+
+  let os;
+  if (/Android/i.test(userAgent)) os = 'Android';
+  else if (/iPhone|iPad|iPod/i.test(userAgent)) os = 'iOS';
+  else if (/Windows/i.test(userAgent)) os = 'Windows';
+  else if (/Mac OS X/i.test(userAgent)) os = 'macOS';
+  else if (/Linux/i.test(userAgent)) os = 'Linux';
+
+  let browser;
+  if (/Edg\//i.test(userAgent)) browser = 'Edge';
+  else if (/OPR\//i.test(userAgent)) browser = 'Opera';
+  else if (/Chrome\//i.test(userAgent)) browser = 'Chrome';
+  else if (/Firefox\//i.test(userAgent)) browser = 'Firefox';
+  else if (/Safari\//i.test(userAgent)) browser = 'Safari';
+
+  let type = 'desktop';
+  if (isBot) type = 'bot';
+  else if (isTablet) type = 'tablet';
+  else if (isMobile) type = 'mobile';
+
+  return { type, browser, os, isMobile };
+};
+
+/**
+ * Build location from CDN geo headers and/or client supplied coordinates
+ */
+const getLocation = (req) => {
+  const location = {};
+  const countryCode = req.headers['cf-ipcountry'] || req.headers['x-country-code'];
+
+  if (countryCode && countryCode !== 'XX') {
+    location.countryCode = countryCode.toUpperCase();
+    location.country = countryCode.toUpperCase();
+  }
+
+  // Apps may send the device location in the POST body
+  const bodyLocation = req.body?.location;
+  if (bodyLocation && typeof bodyLocation === 'object') {
+    const latitude = parseFloat(bodyLocation.latitude);
+    const longitude = parseFloat(bodyLocation.longitude);
+    if (!Number.isNaN(latitude) && !Number.isNaN(longitude)) {
+      location.latitude = latitude;
+      location.longitude = longitude;
+    }
+    for (const field of ['country', 'city', 'region', 'timezone']) {
+      if (typeof bodyLocation[field] === 'string' && bodyLocation[field].trim()) {
+        location[field] = bodyLocation[field].trim();
+      }
+    }
+  }
+
+  return Object.keys(location).length > 0 ? location : undefined;
+};
+
+/**
+ * Extract client data passed to the verification service
+ */
+const extractClientData = (req) => {
+  const userAgent = req.headers['user-agent'];
+
+  return {
+    ipAddress: getClientIp(req),
+    userAgent,
+    referrer: req.headers.referer || req.headers.referrer,
+    device: parseDevice(userAgent),
+    location: getLocation(req),
+  };
+};
+
+module.exports = {
+  extractClientData,
+  getClientIp,
+  parseDevice,
+};
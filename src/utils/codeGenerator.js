@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+
+// Upper-case letters and digits without the look-alikes 0/O and 1/I
+const DEFAULT_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+const DIGITS = '0123456789';
+
+const CHECK_DIGITS = ['none', 'luhn', 'damm'];
+const SEPARATORS = ['-', '_', ' ', ''];
+
+// Characters people confuse when typing a code from a label; a typed
+// character outside the alphabet is read as the one look-alike inside it
+const LOOK_ALIKES = [
+  ['0', 'O', 'Q'],
+  ['1', 'I', 'L'],
+  ['2', 'Z'],
+  ['5', 'S'],
+  ['8', 'B'],
+];
+
+const DEFAULT_SCHEME = {
+  prefix: '',
+  length: 8,
+  alphabet: DEFAULT_ALPHABET,
+  groupSize: 4,
+  separator: '-',
+  checkDigit: 'luhn',
+};
+
+// Damm's totally anti-symmetric quasigroup of order 10
+const DAMM_TABLE = [
+  [0, 3, 1, 7, 5, 9, 8, 6, 4, 2],
+  [7, 0, 9, 2, 1, 5, 4, 8, 6, 3],
+  [4, 2, 0, 6, 8, 7, 1, 3, 5, 9],
+  [1, 7, 5, 0, 9, 8, 3, 4, 2, 6],
+  [6, 1, 2, 3, 0, 4, 5, 9, 7, 8],
+  [3, 6, 7, 4, 2, 0, 9, 5, 8, 1],
+  [5, 8, 6, 9, 7, 2, 0, 1, 3, 4],
+  [8, 9, 4, 5, 3, 6, 2, 0, 1, 7],
+  [9, 4, 3, 8, 6, 1, 7, 2, 0, 5],
+  [2, 5, 8, 1, 4, 3, 6, 7, 9, 0],
+];
+
+/**
+ * Scheme with the defaults filled in (brand scheme, then request overrides)
+ */
+const resolveScheme = (...schemes) => {
+  const resolved = { ...DEFAULT_SCHEME };
+  for (const scheme of schemes) {
+    for (const [key, value] of Object.entries(scheme || {})) {
+      if (key in DEFAULT_SCHEME && value !== undefined && value !== null) resolved[key] = value;
+    }
+  }
+  return resolved;
+};
+
+/**
+ * Number of random characters of a code (`length` includes the check character)
+ */
+const randomLength = (scheme) => scheme.length - (scheme.checkDigit === 'none' ? 0 : 1);
+
+/**
+ * Number of distinct codes a resolved scheme can produce
+ */
+const capacity = (scheme) => scheme.alphabet.length ** randomLength(scheme);
+
+/**
+ * Problem with a resolved scheme, or null if it is usable
+ */
+const validateScheme = (scheme) => {
+  const { prefix, length, alphabet, groupSize, separator, checkDigit } = scheme;
+
+  if (typeof alphabet !== 'string' || !/^[A-Za-z0-9]+$/.test(alphabet)) {
+    return 'Alphabet may only contain letters and digits';
+  }
+  if (new Set(alphabet).size !== alphabet.length) {
+    return 'Alphabet contains repeated characters';
+  }
+  if (alphabet.length < 10 || alphabet.length > 62) {
+    return 'Alphabet must have between 10 and 62 characters';
+  }
+  if (typeof prefix !== 'string' || !/^[A-Za-z0-9]{0,12}$/.test(prefix)) {
+    return 'Prefix must be up to 12 letters or digits';
+  }
+  if (!Number.isInteger(length) || length < 6 || length > 32) {
+    return 'Length must be between 6 and 32';
+  }
+  if (!Number.isInteger(groupSize) || groupSize < 0 || groupSize > length) {
+    return 'Group size must be between 0 (no grouping) and the code length';
+  }
+  if (!SEPARATORS.includes(separator)) {
+    return `Separator must be one of ${SEPARATORS.map((s) => `"${s}"`).join(', ')}`;
+  }
+  if (!CHECK_DIGITS.includes(checkDigit)) {
+    return `Check digit must be one of ${CHECK_DIGITS.join(', ')}`;
+  }
+  if (checkDigit === 'damm' && [...alphabet].sort().join('') !== DIGITS) {
+    return 'The Damm check digit needs the alphabet 0123456789';
+  }
+  return null;
+};
+
+/**
+ * Luhn mod N check character over `alphabet`
+ * Catches every single-character error and most adjacent transpositions.
+ */
+const luhnCheckChar = (chars, alphabet) => {
+  const n = alphabet.length;
+  let factor = 2;
+  let sum = 0;
+
+  for (let i = chars.length - 1; i >= 0; i--) {
+    let addend = factor * alphabet.indexOf(chars[i]);
+    factor = factor === 2 ? 1 : 2;
+    addend = Math.floor(addend / n) + (addend % n);
+    sum += addend;
+  }
+
+  return alphabet[(n - (sum % n)) % n];
+};
+
+/**
+ * Damm check digit
+ * Catches every single-digit error and every adjacent transposition.
+ */
+const dammCheckDigit = (digits) => {
+  let interim = 0;
+  for (const digit of digits) {
+    interim = DAMM_TABLE[interim][Number(digit)];
+  }
+  return String(interim);
+};
+
+/**
+ * Check character of a code body for the scheme ('' without a check digit)
+ */
+const checkChar = (chars, scheme) => {
+  if (scheme.checkDigit === 'luhn') return luhnCheckChar(chars, scheme.alphabet);
+  if (scheme.checkDigit === 'damm') return dammCheckDigit(chars);
+  return '';
+};
+
+/**
+ * Printed form: prefix and groups of `groupSize` characters joined by the separator
+ */
+const format = (body, scheme) => {
+  const parts = scheme.prefix ? [scheme.prefix] : [];
+
+  if (scheme.groupSize > 0) {
+    for (let i = 0; i < body.length; i += scheme.groupSize) {
+      parts.push(body.slice(i, i + scheme.groupSize));
+    }
+  } else {
+    parts.push(body);
+  }
+
+  return parts.join(scheme.separator);
+};
+
+/**
+ * Read typed input as a code of the scheme
+ * Case (for single-case alphabets), separators and whitespace are ignored,
+ * the prefix may be left out and look-alike characters are corrected.
+ * @returns {Object|null} { code, checkValid } with `code` in its printed
+ * form, or null if the input cannot be a code of this scheme
+ */
+const parseCode = (input, scheme) => {
+  const foldCase = scheme.alphabet === scheme.alphabet.toUpperCase();
+  const fold = (text) => (foldCase ? text.toUpperCase() : text);
+
+  let text = fold(String(input)).replace(/[\s\-_.]/g, '');
+  const prefix = fold(scheme.prefix);
+  if (prefix && text.length === prefix.length + scheme.length && text.startsWith(prefix)) {
+    text = text.slice(prefix.length);
+  }
+  if (text.length !== scheme.length) return null;
+
+  let body = '';
+  for (const char of text) {
+    if (scheme.alphabet.includes(char)) {
+      body += char;
+      continue;
+    }
+
+    const group = LOOK_ALIKES.find((chars) => chars.includes(char)) || [];
+    const matches = group.filter((c) => scheme.alphabet.includes(c));
+    if (matches.length !== 1) return null;
+    body += matches[0];
+  }
+
+  const chars = scheme.checkDigit === 'none' ? body : body.slice(0, -1);
+  return {
+    code: format(body, scheme),
+    checkValid: checkChar(chars, scheme) === body.slice(chars.length),
+  };
+};
+
+/**
+ * Random code for a resolved scheme
+ * Characters are picked with crypto.randomInt, so they are uniform and
+ * unpredictable; the check character is computed over them.
+ */
+const generateCode = (scheme) => {
+  let chars = '';
+  for (let i = randomLength(scheme); i > 0; i--) {
+    chars += scheme.alphabet[crypto.randomInt(scheme.alphabet.length)];
+  }
+
+  return format(chars + checkChar(chars, scheme), scheme);
+};
+
+module.exports = {
+  DEFAULT_SCHEME,
+  resolveScheme,
+  validateScheme,
+  capacity,
+  luhnCheckChar,
+  dammCheckDigit,
+  generateCode,
+  parseCode,
+};
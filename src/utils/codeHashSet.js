@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+
+const MAX_LOAD = 0.7;
+
+/**
+ * Set of codes stored as a 64-bit hash per code plus the code's bytes
+ * Used to spot codes repeated within one upload: typed arrays with open
+ * addressing and one shared buffer for the codes take about 20 bytes per code
+ * on top of the code itself, where a Set of strings takes several times that.
+ * Two different codes sharing a 64-bit hash is unlikely (about 3 in 10^6 for
+ * 10M codes) but possible, so a hash hit is confirmed against the stored code.
+ */
+class CodeHashSet {
+  /**
+   * @param {number} expected - number of codes to size the table for
+   */
+  constructor(expected = 0) {
+    let capacity = 1024;
+    while (capacity * MAX_LOAD < expected) capacity *= 2;
+    this.allocate(capacity);
+
+    this.codes = Buffer.allocUnsafe(Math.max(expected * 16, 64 * 1024));
+    this.used = 0;
+  }
+
+  allocate(capacity) {
+    this.capacity = capacity;
+    this.high = new Uint32Array(capacity);
+    this.low = new Uint32Array(capacity);
+    // Where each code's bytes are in `codes`
+    this.offsets = new Uint32Array(capacity);
+    this.lengths = new Uint32Array(capacity);
+    this.size = 0;
+  }
+
+  hash(code) {
+    const digest = crypto.createHash('md5').update(code).digest();
+    // 0/0 marks an empty slot
+    return [digest.readUInt32LE(0), digest.readUInt32LE(4) || 1];
+  }
+
+  /**
+   * Slot holding the code, or the empty slot it would go in
+   */
+  find(high, low, bytes) {
+    const mask = this.capacity - 1;
+    let i = high & mask;
+
+    while (this.low[i] !== 0) {
+      if (this.high[i] === high && this.low[i] === low && this.matches(i, bytes)) break;
+      i = (i + 1) & mask;
+    }
+    return i;
+  }
+
+  matches(slot, bytes) {
+    const offset = this.offsets[slot];
+    return bytes.equals(this.codes.subarray(offset, offset + this.lengths[slot]));
+  }
+
+  /**
+   * Add a code; returns false if it was already in the set
+   */
+  add(code) {
+    const [high, low] = this.hash(code);
+    const bytes = Buffer.from(code, 'utf8');
+    const slot = this.find(high, low, bytes);
+    if (this.low[slot] !== 0) return false;
+
+    this.place(slot, high, low, this.store(bytes), bytes.length);
+    this.size++;
+
+    // The expected count was an estimate; grow instead of degrading
+    if (this.size > this.capacity * MAX_LOAD) this.grow();
+    return true;
+  }
+
+  has(code) {
+    const [high, low] = this.hash(code);
+    return this.low[this.find(high, low, Buffer.from(code, 'utf8'))] !== 0;
+  }
+
+  /**
+   * Append a code's bytes to the shared buffer; returns their offset
+   */
+  store(bytes) {
+    if (this.used + bytes.length > this.codes.length) {
+      const codes = Buffer.allocUnsafe(Math.max(this.codes.length * 2, this.used + bytes.length));
+      this.codes.copy(codes, 0, 0, this.used);
+      this.codes = codes;
+    }
+
+    const offset = this.used;
+    bytes.copy(this.codes, offset);
+    this.used += bytes.length;
+    return offset;
+  }
+
+  place(slot, high, low, offset, length) {
+    this.high[slot] = high;
+    this.low[slot] = low;
+    this.offsets[slot] = offset;
+    this.lengths[slot] = length;
+  }
+
+  grow() {
+    const { high, low, offsets, lengths, capacity, size } = this;
+    this.allocate(capacity * 2);
+    this.size = size;
+    const mask = this.capacity - 1;
+
+    // Entries are distinct codes: each goes in the first free slot
+    for (let i = 0; i < capacity; i++) {
+      if (low[i] === 0) continue;
+      let slot = high[i] & mask;
+      while (this.low[slot] !== 0) slot = (slot + 1) & mask;
+      this.place(slot, high[i], low[i], offsets[i], lengths[i]);
+    }
+  }
+}
+
+module.exports = CodeHashSet;
@@ -0,0 +1,7 @@
+/**
+ * Escape user input for use as a literal inside a regular expression
+ * (search boxes match substrings, never patterns)
+ */
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = escapeRegex;
@@ -1,6 +1,7 @@
 const AWS = require('aws-sdk');
 const fs = require('fs');
 const path = require('path');
+const { pipeline } = require('stream/promises');
 
 const s3 = new AWS.S3({
   accessKeyId: process.env.AWS_ACCESS_KEY_ID,
@@ -64,6 +65,74 @@ class S3Service {
     }
   }
 
+  /**
+   * Upload a local file to S3 under a fixed key (streamed, for large files)
+   * @param {string} filePath - Local file path
+   * @param {string} key - S3 object key
+   * @param {string} mimeType - MIME type
+   * @returns {Promise<string>} S3 key
+   */
+  async uploadObject(filePath, key, mimeType = 'application/octet-stream') {
+    try {
+      const params = {
+        Bucket: process.env.AWS_S3_BUCKET,
+        Key: key,
+        Body: fs.createReadStream(filePath),
+        ContentType: mimeType,
+      };
+
+      await s3.upload(params).promise();
+      return key;
+    } catch (error) {
+      console.error('S3 upload object error:', error);
+      throw new Error(`Failed to upload to S3: ${error.message}`);
+    }
+  }
+
+  /**
+   * Download an S3 object to a local file
+   * @param {string} key - S3 object key
+   * @param {string} destPath - Local file path
+   * @returns {Promise<string>} Local file path
+   */
+  async downloadToFile(key, destPath) {
+    try {
+      const params = {
+        Bucket: process.env.AWS_S3_BUCKET,
+        Key: key,
+      };
+
+      await pipeline(
+        s3.getObject(params).createReadStream(),
+        fs.createWriteStream(destPath)
+      );
+      return destPath;
+    } catch (error) {
+      console.error('S3 download error:', error);
+      throw new Error(`Failed to download from S3: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete an S3 object by key
+   * @param {string} key - S3 object key
+   * @returns {Promise<boolean>}
+   */
+  async deleteObject(key) {
+    try {
+      const params = {
+        Bucket: process.env.AWS_S3_BUCKET,
+        Key: key,
+      };
+
+      await s3.deleteObject(params).promise();
+      return true;
+    } catch (error) {
+      console.error('S3 delete error:', error);
+      throw new Error(`Failed to delete from S3: ${error.message}`);
+    }
+  }
+
   /**
    * Upload buffer to S3
    * @param {Buffer} buffer - File buffer
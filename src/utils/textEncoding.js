@@ -0,0 +1,75 @@
+const fs = require('fs');
+const { Transform } = require('stream');
+
+// Bytes inspected to guess the encoding of a file without a BOM
+const SAMPLE_SIZE = 64 * 1024;
+
+/**
+ * Read the first bytes of a file
+ */
+const readSample = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(SAMPLE_SIZE);
+    const { bytesRead } = await handle.read(buffer, 0, SAMPLE_SIZE, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Guess the text encoding of a file
+ * BOMs win; otherwise UTF-16 without a BOM is recognised by its zero bytes
+ * (code files are mostly ASCII), and anything that is not valid UTF-8 is
+ * taken as Windows-1252 (Latin-1), which is what Windows tools export.
+ * @returns {Promise<string>} utf-8 | utf-16le | utf-16be | windows-1252
+ */
+const detectEncoding = async (filePath) => {
+  const sample = await readSample(filePath);
+
+  if (sample[0] === 0xef && sample[1] === 0xbb && sample[2] === 0xbf) return 'utf-8';
+  if (sample[0] === 0xff && sample[1] === 0xfe) return 'utf-16le';
+  if (sample[0] === 0xfe && sample[1] === 0xff) return 'utf-16be';
+
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < sample.length; i++) {
+    if (sample[i] === 0) {
+      if (i % 2 === 0) evenZeros++;
+      else oddZeros++;
+    }
+  }
+  const pairs = sample.length / 2;
+  if (pairs > 0 && oddZeros / pairs > 0.3 && evenZeros < oddZeros / 10) return 'utf-16le';
+  if (pairs > 0 && evenZeros / pairs > 0.3 && oddZeros < evenZeros / 10) return 'utf-16be';
+
+  try {
+    // stream: true tolerates a character cut off at the end of the sample
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+    return 'utf-8';
+  } catch (error) {
+    return 'windows-1252';
+  }
+};
+
+/**
+ * Transform stream decoding bytes in `encoding` to UTF-8 text (BOM removed)
+ */
+const createDecoder = (encoding) => {
+  const decoder = new TextDecoder(encoding);
+
+  return new Transform({
+    transform(chunk, _encoding, callback) {
+      callback(null, decoder.decode(chunk, { stream: true }));
+    },
+    flush(callback) {
+      callback(null, decoder.decode());
+    },
+  });
+};
+
+module.exports = {
+  detectEncoding,
+  createDecoder,
+};
@@ -0,0 +1,45 @@
+const { body, param } = require('express-validator');
+const ApiKey = require('../models/ApiKey');
+
+const createApiKeyValidator = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid brand ID'),
+  
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Key name is required')
+    .isLength({ max: 100 })
+    .withMessage('Key name cannot exceed 100 characters'),
+  
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  
+  body('scopes.*')
+    .isIn(ApiKey.SCOPES)
+    .withMessage(`Scope must be one of: ${ApiKey.SCOPES.join(', ')}`),
+  
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Expiry must be a valid date')
+    .custom((value) => new Date(value) > new Date())
+    .withMessage('Expiry must be in the future'),
+];
+
+const apiKeyIdValidator = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid brand ID'),
+  
+  param('keyId')
+    .isMongoId()
+    .withMessage('Invalid API key ID'),
+];
+
+module.exports = {
+  createApiKeyValidator,
+  apiKeyIdValidator,
+};
@@ -58,8 +58,36 @@ const changePasswordValidator = [
     .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
 ];
 
+const forgotPasswordValidator = [
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('Email is required')
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail(),
+];
+
+const resetPasswordValidator = [
+  body('token')
+    .notEmpty()
+    .withMessage('Reset token is required')
+    .isHexadecimal()
+    .withMessage('Invalid reset token'),
+  
+  body('newPassword')
+    .notEmpty()
+    .withMessage('New password is required')
+    .isLength({ min: 8 })
+    .withMessage('Password must be at least 8 characters')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+];
+
 module.exports = {
   registerValidator,
   loginValidator,
   changePasswordValidator,
+  forgotPasswordValidator,
+  resetPasswordValidator,
 };
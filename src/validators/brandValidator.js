@@ -1,4 +1,55 @@
 const { body, param, query } = require('express-validator');
+const { isColumnMapping, isCodeScheme } = require('./codeValidator');
+
+const settingsValidator = [
+  body('settings')
+    .optional()
+    .isObject()
+    .withMessage('Settings must be an object'),
+  
+  body('settings.genuineMessage')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Genuine message cannot exceed 500 characters'),
+  
+  body('settings.alreadyVerifiedMessage')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Already verified message cannot exceed 500 characters'),
+  
+  body('settings.notFoundMessage')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Not found message cannot exceed 500 characters'),
+  
+  body('settings.enableScanLimit')
+    .optional()
+    .isBoolean()
+    .withMessage('enableScanLimit must be a boolean')
+    .toBoolean(),
+  
+  body('settings.maxScansBeforeWarning')
+    .optional()
+    .isInt({ min: 1, max: 10000 })
+    .withMessage('maxScansBeforeWarning must be between 1 and 10000')
+    .toInt(),
+  
+  body('settings.requireSignature')
+    .optional()
+    .isBoolean()
+    .withMessage('requireSignature must be a boolean')
+    .toBoolean(),
+];
+
+// Defaults for POST /api/codes/generate
+const codeSchemeValidator = [
+  body('codeScheme')
+    .optional()
+    .custom(isCodeScheme),
+];
 
 const createBrandValidator = [
   body('name')
@@ -37,6 +88,9 @@ const createBrandValidator = [
     .trim()
     .isURL()
     .withMessage('Logo must be a valid URL'),
+  
+  ...settingsValidator,
+  ...codeSchemeValidator,
 ];
 
 const updateBrandValidator = [
@@ -70,10 +124,25 @@ const updateBrandValidator = [
     .isEmail()
     .withMessage('Please provide a valid email address'),
   
+  body('contactPhone')
+    .optional()
+    .trim()
+    .isMobilePhone('any')
+    .withMessage('Please provide a valid phone number'),
+  
+  body('logo')
+    .optional()
+    .trim()
+    .isURL()
+    .withMessage('Logo must be a valid URL'),
+  
   body('status')
     .optional()
-    .isIn(['active', 'inactive', 'suspended'])
-    .withMessage('Status must be active, inactive, or suspended'),
+    .isIn(['active', 'inactive'])
+    .withMessage('Status must be active or inactive'),
+  
+  ...settingsValidator,
+  ...codeSchemeValidator,
 ];
 
 const brandIdValidator = [
@@ -95,7 +164,7 @@ const listBrandsValidator = [
   
   query('status')
     .optional()
-    .isIn(['active', 'inactive', 'suspended'])
+    .isIn(['active', 'inactive'])
     .withMessage('Invalid status filter'),
   
   query('search')
@@ -105,9 +174,79 @@ const listBrandsValidator = [
     .withMessage('Search query must be between 1 and 100 characters'),
 ];
 
+const brandAnalyticsValidator = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid brand ID'),
+  
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+  
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid date'),
+  
+  query('granularity')
+    .optional()
+    .isIn(['hour', 'day', 'week', 'month'])
+    .withMessage('Granularity must be hour, day, week, or month'),
+  
+  query('product')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid product ID'),
+  
+  query('batchNumber')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Batch number filter too long'),
+  
+  query('sku')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('SKU filter too long'),
+  
+  query('result')
+    .optional()
+    .isIn(['genuine', 'already_verified', 'suspicious', 'not_found', 'revoked', 'expired'])
+    .withMessage('Invalid result filter'),
+];
+
+const importProfileNameValidator = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid brand ID'),
+  
+  param('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Profile name must be between 1 and 50 characters'),
+];
+
+const saveImportProfileValidator = [
+  ...importProfileNameValidator,
+  
+  body('mapping')
+    .custom(isColumnMapping),
+  
+  body('isDefault')
+    .optional()
+    .isBoolean()
+    .withMessage('isDefault must be a boolean')
+    .toBoolean(),
+];
+
 module.exports = {
   createBrandValidator,
   updateBrandValidator,
   brandIdValidator,
   listBrandsValidator,
+  brandAnalyticsValidator,
+  importProfileNameValidator,
+  saveImportProfileValidator,
 };
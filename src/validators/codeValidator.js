@@ -0,0 +1,306 @@
+const { body, param, query } = require('express-validator');
+const config = require('../config');
+const codeGenerator = require('../utils/codeGenerator');
+
+const addCodeValidator = [
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Code is required')
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Code length must be between 3-100 characters'),
+  
+  body('brandId')
+    .notEmpty()
+    .withMessage('Brand ID is required')
+    .isMongoId()
+    .withMessage('Invalid brand ID'),
+];
+
+const listCodesValidator = [
+  query('brandId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid brand ID'),
+  
+  query('status')
+    .optional()
+    .isIn(['active', 'inactive'])
+    .withMessage('Invalid status filter'),
+  
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Search query must be between 1 and 100 characters'),
+  
+  query('importBatch')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Invalid import batch'),
+  
+  query('signed')
+    .optional()
+    .isBoolean()
+    .withMessage('Signed must be true or false')
+    .custom((signed, { req }) => signed !== 'true' || Boolean(req.query.brandId))
+    .withMessage('Signed codes can only be listed for one brand (brandId)'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500'),
+];
+
+const codeIdValidator = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid code ID'),
+];
+
+// Runs after multer so multipart fields are available on req.body
+const uploadCodesValidator = [
+  body('brandId')
+    .notEmpty()
+    .withMessage('Brand ID is required')
+    .isMongoId()
+    .withMessage('Invalid brand ID'),
+];
+
+// Runs after multer so multipart fields are available on req.body
+const MAPPED_FIELDS = ['code', 'sku', 'batchNumber', 'serialNumber', 'expiryDate'];
+
+// Column mapping: { code, sku?, batchNumber?, serialNumber?, expiryDate?, metadata?: [] }
+// Values are column headers of the uploaded file
+const isColumnMapping = (mapping) => {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new Error('Column mapping must be an object');
+  }
+
+  const unknown = Object.keys(mapping).filter((key) => key !== 'metadata' && !MAPPED_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown column mapping fields: ${unknown.join(', ')}`);
+  }
+
+  if (typeof mapping.code !== 'string' || !mapping.code.trim()) {
+    throw new Error('Column mapping must name the code column');
+  }
+
+  for (const field of MAPPED_FIELDS) {
+    const column = mapping[field];
+    if (column !== undefined && (typeof column !== 'string' || !column.trim() || column.length > 100)) {
+      throw new Error(`Column mapping ${field} must be a column name`);
+    }
+  }
+
+  const { metadata } = mapping;
+  if (metadata !== undefined && (
+    !Array.isArray(metadata) ||
+    metadata.length > 20 ||
+    metadata.some((column) => typeof column !== 'string' || !column.trim() || column.length > 100)
+  )) {
+    throw new Error('Column mapping metadata must be a list of up to 20 column names');
+  }
+
+  return true;
+};
+
+// Code scheme: { prefix?, length?, alphabet?, groupSize?, separator?, checkDigit? }
+// Checked with the generator defaults for the missing fields
+const isCodeScheme = (scheme) => {
+  if (!scheme || typeof scheme !== 'object' || Array.isArray(scheme)) {
+    throw new Error('Code scheme must be an object');
+  }
+
+  const unknown = Object.keys(scheme).filter((key) => !(key in codeGenerator.DEFAULT_SCHEME));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown code scheme fields: ${unknown.join(', ')}`);
+  }
+
+  const problem = codeGenerator.validateScheme(codeGenerator.resolveScheme(scheme));
+  if (problem) {
+    throw new Error(problem);
+  }
+
+  return true;
+};
+
+// Multipart fields arrive as strings
+const parseJson = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+const bulkUploadValidator = [
+  body('brandId')
+    .notEmpty()
+    .withMessage('Brand ID is required')
+    .isMongoId()
+    .withMessage('Invalid brand ID'),
+  
+  body('productId')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid product ID'),
+  
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be a boolean')
+    .toBoolean(),
+  
+  body('columnMapping')
+    .optional({ values: 'falsy' })
+    .customSanitizer(parseJson)
+    .custom(isColumnMapping),
+  
+  // Excel only: comma-separated sheet names, or * for every sheet
+  body('sheets')
+    .optional({ values: 'falsy' })
+    .customSanitizer((value) => (typeof value === 'string'
+      ? value.split(',').map((name) => name.trim()).filter(Boolean)
+      : value))
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Sheets must list between 1 and 50 sheet names')
+    .custom((names) => names.every((name) => typeof name === 'string' && name.length <= 31))
+    .withMessage('Sheet names cannot exceed 31 characters'),
+  
+  body('profile')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Profile name cannot exceed 50 characters')
+    .custom((value, { req }) => !req.body.columnMapping)
+    .withMessage('Send either columnMapping or profile, not both'),
+];
+
+const generateCodesValidator = [
+  body('brandId')
+    .notEmpty()
+    .withMessage('Brand ID is required')
+    .isMongoId()
+    .withMessage('Invalid brand ID'),
+  
+  body('productId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid product ID'),
+  
+  body('count')
+    .isInt({ min: 1, max: config.codeGeneration.maxCount })
+    .withMessage(`Count must be between 1 and ${config.codeGeneration.maxCount}`)
+    .toInt(),
+  
+  // Overrides the brand's code scheme field by field
+  body('scheme')
+    .optional()
+    .custom(isCodeScheme),
+];
+
+const bulkQrValidator = [
+  body('brandId')
+    .notEmpty()
+    .withMessage('Brand ID is required')
+    .isMongoId()
+    .withMessage('Invalid brand ID'),
+  
+  body('productId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid product ID'),
+  
+  body('importBatch')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Invalid import batch'),
+  
+  body('status')
+    .optional()
+    .isIn(['active', 'inactive'])
+    .withMessage('Status must be active or inactive'),
+  
+  body('onlyMissing')
+    .optional()
+    .isBoolean()
+    .withMessage('onlyMissing must be a boolean')
+    .toBoolean(),
+];
+
+const jobIdValidator = [
+  param('jobId')
+    .isUUID()
+    .withMessage('Invalid job ID'),
+];
+
+const cancelJobValidator = [
+  ...jobIdValidator,
+  
+  body('rollback')
+    .optional()
+    .isBoolean()
+    .withMessage('rollback must be a boolean')
+    .toBoolean(),
+];
+
+const errorReportValidator = [
+  ...jobIdValidator,
+  
+  param('format')
+    .isIn(['csv', 'xlsx'])
+    .withMessage('Format must be csv or xlsx'),
+];
+
+const listJobsValidator = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'processing', 'completed', 'failed', 'cancelled'])
+    .withMessage('Invalid status filter'),
+  
+  query('brandId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid brand ID'),
+  
+  query('type')
+    .optional()
+    .isIn(['codes', 'generate', 'qr'])
+    .withMessage('Type must be codes, generate or qr'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+];
+
+module.exports = {
+  addCodeValidator,
+  listCodesValidator,
+  codeIdValidator,
+  uploadCodesValidator,
+  isColumnMapping,
+  isCodeScheme,
+  bulkUploadValidator,
+  generateCodesValidator,
+  bulkQrValidator,
+  jobIdValidator,
+  cancelJobValidator,
+  errorReportValidator,
+  listJobsValidator,
+};
@@ -142,6 +142,20 @@ const bulkCreateValidator = [
     .withMessage('Product name cannot exceed 500 characters'),
 ];
 
+const uploadProductsValidator = [
+  body('brand')
+    .notEmpty()
+    .withMessage('Brand ID is required')
+    .isMongoId()
+    .withMessage('Invalid brand ID'),
+  
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be a boolean')
+    .toBoolean(),
+];
+
 const verifyTokenValidator = [
   param('token')
     .notEmpty()
@@ -168,6 +182,7 @@ module.exports = {
   productIdValidator,
   listProductsValidator,
   bulkCreateValidator,
+  uploadProductsValidator,
   verifyTokenValidator,
   revokeProductValidator,
 };
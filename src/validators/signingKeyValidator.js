@@ -0,0 +1,35 @@
+const { body, param } = require('express-validator');
+const SigningKey = require('../models/SigningKey');
+
+const createSigningKeyValidator = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid brand ID'),
+
+  body('algorithm')
+    .optional()
+    .isIn(SigningKey.ALGORITHMS)
+    .withMessage(`Algorithm must be one of: ${SigningKey.ALGORITHMS.join(', ')}`),
+];
+
+const signingKeyIdValidator = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid brand ID'),
+
+  param('kid')
+    .matches(/^sk_[0-9a-f]{12}$/)
+    .withMessage('Invalid signing key ID'),
+];
+
+const publicKeysValidator = [
+  param('brandId')
+    .isMongoId()
+    .withMessage('Invalid brand ID'),
+];
+
+module.exports = {
+  createSigningKeyValidator,
+  signingKeyIdValidator,
+  publicKeysValidator,
+};
@@ -0,0 +1,115 @@
+const { body, param, query } = require('express-validator');
+
+const ROLES = ['admin', 'brand_manager', 'viewer'];
+
+const listUsersValidator = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  
+  query('role')
+    .optional()
+    .isIn(ROLES)
+    .withMessage('Invalid role filter'),
+  
+  query('isActive')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('isActive must be true or false'),
+  
+  query('brand')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid brand ID'),
+  
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Search query must be between 1 and 100 characters'),
+];
+
+const inviteUserValidator = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ max: 100 })
+    .withMessage('Name cannot exceed 100 characters'),
+  
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('Email is required')
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail(),
+  
+  body('role')
+    .isIn(ROLES)
+    .withMessage('Invalid role'),
+  
+  body('brandIds')
+    .optional()
+    .isArray()
+    .withMessage('brandIds must be an array'),
+  
+  body('brandIds.*')
+    .isMongoId()
+    .withMessage('Invalid brand ID'),
+];
+
+const updateRoleValidator = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  
+  body('role')
+    .isIn(ROLES)
+    .withMessage('Invalid role'),
+];
+
+const userIdValidator = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+];
+
+const brandAccessValidator = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  
+  body('brandIds')
+    .isArray()
+    .withMessage('brandIds must be an array'),
+  
+  body('brandIds.*')
+    .isMongoId()
+    .withMessage('Invalid brand ID'),
+];
+
+const revokeBrandAccessValidator = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  
+  param('brandId')
+    .isMongoId()
+    .withMessage('Invalid brand ID'),
+];
+
+module.exports = {
+  listUsersValidator,
+  inviteUserValidator,
+  updateRoleValidator,
+  userIdValidator,
+  brandAccessValidator,
+  revokeBrandAccessValidator,
+};
@@ -0,0 +1,94 @@
+const { body, param, query } = require('express-validator');
+
+// Input no code can match is rejected here, so it never reaches the scan log
+// (codes are at least 3 characters, without control characters)
+const PRINTABLE = /^[^\u0000-\u001f\u007f]+$/;
+const MALFORMED_MESSAGE = 'This is not a valid code. Please check it and try again.';
+
+/**
+ * Optional code signature (`kid` and `sig`, sent together) in the query or body
+ */
+const signatureFields = (location) => {
+  const fields = (req) => (location === query ? req.query : req.body);
+
+  return [
+    location('kid')
+      .optional()
+      .isString()
+      .matches(/^sk_[0-9a-f]{12}$/)
+      .withMessage('Invalid signing key ID')
+      .custom((kid, { req }) => fields(req).sig !== undefined)
+      .withMessage('Signature (sig) is required with kid'),
+
+    location('sig')
+      .optional()
+      .isString()
+      .matches(/^[A-Za-z0-9_-]{43,86}$/)
+      .withMessage('Invalid signature')
+      .custom((sig, { req }) => fields(req).kid !== undefined)
+      .withMessage('Signing key ID (kid) is required with sig'),
+  ];
+};
+
+const verifyCodeValidator = [
+  param('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Code is required')
+    .isLength({ max: 200 })
+    .withMessage('Code cannot exceed 200 characters')
+    .isLength({ min: 3 })
+    .withMessage(MALFORMED_MESSAGE)
+    .matches(PRINTABLE)
+    .withMessage(MALFORMED_MESSAGE),
+
+  ...signatureFields(query),
+];
+
+const verifyPostValidator = [
+  body('code')
+    .isString()
+    .withMessage('Code is required')
+    .bail()
+    .trim()
+    .notEmpty()
+    .withMessage('Code is required')
+    .isLength({ max: 200 })
+    .withMessage('Code cannot exceed 200 characters')
+    .isLength({ min: 3 })
+    .withMessage(MALFORMED_MESSAGE)
+    .matches(PRINTABLE)
+    .withMessage(MALFORMED_MESSAGE),
+
+  ...signatureFields(body),
+];
+
+const verifyProductValidator = [
+  param('authToken')
+    .trim()
+    .notEmpty()
+    .withMessage('Auth token is required')
+    .isLength({ max: 200 })
+    .withMessage('Auth token cannot exceed 200 characters'),
+  
+  body('location')
+    .optional()
+    .isObject()
+    .withMessage('Location must be an object'),
+  
+  body('location.latitude')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  
+  body('location.longitude')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+];
+
+module.exports = {
+  verifyCodeValidator,
+  verifyPostValidator,
+  verifyProductValidator,
+};
@@ -0,0 +1,155 @@
+const config = require('../config');
+const { BulkUploadJob } = require('../models');
+const bulkUploadService = require('../services/bulkUploadService');
+const queueService = require('../services/queueService');
+
+// Failed jobs keep their source file for a resume until they are this old
+const CLEANUP_AFTER_DAYS = 30;
+
+/**
+ * Bull processor for a bulk upload job
+ */
+const processJob = async (bullJob) => {
+  try {
+    const result = await bulkUploadService.processBulkUpload({
+      ...bullJob.data,
+      io: queueService.createProgressRelay(bullJob),
+      attempt: bullJob.attemptsMade + 1,
+      maxAttempts: bullJob.opts.attempts || 1,
+    });
+
+    if (!result) return { cancelled: true };
+
+    return {
+      processed: result.processed,
+      successful: result.successful,
+      failed: result.failed,
+      duplicates: result.duplicates,
+    };
+  } catch (error) {
+    // Retrying cannot fix e.g. a deleted brand
+    if (error.permanent) {
+      bullJob.discard();
+    }
+    throw error;
+  }
+};
+
+/**
+ * Mark a job as failed outside of the processor (lost file, failed in Redis, ...)
+ */
+const failJob = async (job, message) => {
+  job.status = 'failed';
+  job.lastError = message;
+  job.summary.endTime = new Date();
+  if (job.summary.startTime) {
+    job.summary.duration = job.summary.endTime - job.summary.startTime;
+  }
+  await job.save();
+};
+
+/**
+ * Bring BulkUploadJob documents back in sync with the queue after a restart
+ * - jobs missing from Redis (queued by an older version, or Redis data lost)
+ *   are re-enqueued while their file still exists, otherwise failed
+ * - jobs left `processing` by a dead worker go back to `pending`; Bull moves
+ *   the stalled job itself back to the wait list once its lock expires
+ * - jobs Bull already gave up on are marked failed
+ * - cancel requests that no running worker will see are finalized
+ */
+const reconcileJobs = async (queue) => {
+  const jobs = await BulkUploadJob.find({ status: { $in: ['pending', 'processing'] } });
+  const stats = { requeued: 0, reset: 0, failed: 0, cancelled: 0 };
+
+  for (const job of jobs) {
+    const bullJob = await queue.getJob(job.jobId);
+
+    if (job.cancelRequested && !(bullJob && (await bullJob.isActive()))) {
+      if (bullJob) await bullJob.remove();
+      await bulkUploadService.finalizeCancellation(job, job.rollbackOnCancel);
+      await bulkUploadService.removeSourceFile(job);
+      stats.cancelled++;
+      continue;
+    }
+
+    if (!bullJob) {
+      if (bulkUploadService.hasSourceFile(job)) {
+        await queueService.enqueueBulkUpload({
+          jobId: job.jobId,
+          userId: job.userId.toString(),
+        });
+        job.status = 'pending';
+        await job.save();
+        stats.requeued++;
+      } else {
+        await failJob(job, 'Upload was interrupted and the file is no longer available');
+        stats.failed++;
+      }
+      continue;
+    }
+
+    const state = await bullJob.getState();
+
+    if (state === 'failed') {
+      await failJob(job, bullJob.failedReason || 'Upload failed');
+      stats.failed++;
+    } else if (job.status === 'processing' && ['waiting', 'delayed', 'paused'].includes(state)) {
+      job.status = 'pending';
+      await job.save();
+      stats.reset++;
+    }
+  }
+
+  return stats;
+};
+
+/**
+ * Remove old finished jobs and their kept source files
+ */
+const cleanupOldJobs = async () => {
+  try {
+    const result = await bulkUploadService.cleanupOldJobs(CLEANUP_AFTER_DAYS);
+    if (result.deletedCount > 0) {
+      console.log(`Removed ${result.deletedCount} old bulk upload jobs`);
+    }
+  } catch (error) {
+    console.error('Bulk upload cleanup error:', error.message);
+  }
+};
+
+/**
+ * Start processing bulk uploads in this process
+ */
+const start = async () => {
+  const queue = queueService.getBulkUploadQueue();
+
+  queue.process(config.bulkUpload.concurrency, processJob);
+
+  queue.on('stalled', async (bullJob) => {
+    console.warn(`Bulk upload ${bullJob.id} stalled, re-queued`);
+    await BulkUploadJob.updateOne(
+      { jobId: bullJob.id, status: 'processing' },
+      { $set: { status: 'pending' } }
+    ).catch((error) => console.error('Stalled job sync error:', error.message));
+  });
+
+  queue.on('failed', (bullJob, error) => {
+    console.error(`Bulk upload ${bullJob.id} failed (attempt ${bullJob.attemptsMade}):`, error.message);
+  });
+
+  const stats = await reconcileJobs(queue);
+  console.log(
+    `Bulk upload worker started (concurrency ${config.bulkUpload.concurrency}) - ` +
+    `reconciled: ${stats.requeued} re-queued, ${stats.reset} reset, ${stats.failed} failed, ${stats.cancelled} cancelled`
+  );
+
+  await cleanupOldJobs();
+  setInterval(cleanupOldJobs, 24 * 60 * 60 * 1000).unref();
+
+  return queue;
+};
+
+module.exports = {
+  start,
+  reconcileJobs,
+};
@@ -0,0 +1,32 @@
+require('dotenv').config();
+
+const connectDB = require('./src/config/database');
+const bulkUploadWorker = require('./src/workers/bulkUploadWorker');
+const { closeQueues } = require('./src/services/queueService');
+
+const startWorker = async () => {
+  await connectDB();
+  await bulkUploadWorker.start();
+
+  // Graceful shutdown: let running jobs finish, anything cut off is
+  // picked up again through Bull's stalled-job recovery
+  const shutdown = async (signal) => {
+    console.log(`${signal} received. Closing worker...`);
+    try {
+      await closeQueues();
+      console.log('Worker closed');
+      process.exit(0);
+    } catch (error) {
+      console.error('Worker shutdown error:', error);
+      process.exit(1);
+    }
+  };
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+};
+
+startWorker().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});